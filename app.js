@@ -1,29 +1,38 @@
 // app.js — improved immediate-install + SW update handling
 (() => {
-  const INSTALL_STORAGE_KEY = "pwa_install_prompt_v1";
+  const INSTALL_STORAGE_KEY = "install.prompt";
   const PROMPT_COOLDOWN_DAYS = 7; // don't re-show within this many days after dismiss
   const MAX_PROMPT_ATTEMPTS = 3; // per cooldown window
+  const UPDATE_SEEN_KEY = "update.lastVersion"; // last version the member saw "what's new" for
+  const PUSH_PREFS_KEY = "push.prefs";
+  const PUSH_TOPICS = ["services", "notices", "biblestudy"];
+  // Fill in once the church's push server exists. Until then notifications can be switched on and
+  // tried with tools/push-sender.html, which hands payloads to the service worker directly.
+  const PUSH_VAPID_PUBLIC_KEY = "";
+  const PUSH_SUBSCRIBE_URL = "./api/push/subscribe";
+  const PUSH_UNSUBSCRIBE_URL = "./api/push/unsubscribe";
 
   let deferredPrompt = null;
   let installBannerEl = null;
   let swRegistration = null;
   let refreshing = false;
+  let waitingWorker = null;
+  let updateInfo = null; // { version, notes, applied? } from the worker that answered {action:'version'}
+  let updateToastEl = null;
+  let updateAccepted = false;
+  let reloadPending = false;
 
   // ---------- Helpers ----------
   function now() { return Date.now(); }
+  // Strings come from i18n.js (index.html loads it before this file); fall back to the key
+  function t(key, vars) { return window.i18n ? window.i18n.t(key, vars) : key; }
   function daysToMs(d) { return d * 24 * 60 * 60 * 1000; }
 
   function readInstallState() {
-    try {
-      return JSON.parse(localStorage.getItem(INSTALL_STORAGE_KEY)) || {};
-    } catch (e) {
-      return {};
-    }
+    return settings.get(INSTALL_STORAGE_KEY) || {};
   }
   function writeInstallState(obj) {
-    try {
-      localStorage.setItem(INSTALL_STORAGE_KEY, JSON.stringify(obj || {}));
-    } catch (e) {}
+    settings.set(INSTALL_STORAGE_KEY, obj || {});
   }
 
   function canShowPromptNow() {
@@ -66,15 +75,25 @@
   }
 
   // ---------- Service worker registration + update handling ----------
-  if ("serviceWorker" in navigator) {
+  // A new worker installs and then waits. Its version and release notes ({action:'version'})
+  // go into a toast; SKIP_WAITING is only sent when the member accepts, or on its own at a safe
+  // moment: right after start-up, or when the app goes to the background with nothing playing.
+  // The Settings preview (an iframe of the app) leaves all of this to the page around it.
+  if ("serviceWorker" in navigator && !settings.preview) {
     window.addEventListener("load", async () => {
       try {
+        navigator.serviceWorker.addEventListener("message", onWorkerMessage);
         swRegistration = await navigator.serviceWorker.register("service-worker.js");
         console.log("Service Worker registered:", swRegistration);
 
-        // If a waiting worker exists, offer update flow
-        if (swRegistration.waiting) {
-          showUpdateReady(swRegistration.waiting);
+        // the running version, to show "what's new" once after an update was applied
+        if (navigator.serviceWorker.controller) navigator.serviceWorker.controller.postMessage({ action: "version" });
+
+        // Waiting since an earlier visit: nothing has started playing yet, so take it now
+        if (swRegistration.waiting && navigator.serviceWorker.controller) {
+          waitingWorker = swRegistration.waiting;
+          if (isSafeMoment()) applyUpdate(false);
+          else showUpdateReady(swRegistration.waiting);
         }
 
         swRegistration.addEventListener("updatefound", () => {
@@ -88,54 +107,247 @@
         });
 
         navigator.serviceWorker.addEventListener("controllerchange", () => {
-          if (refreshing) return;
-          refreshing = true;
-          console.log("Controller changed — reloading");
-          window.location.reload();
+          // another tab may have applied the update; don't cut into a sermon or a half-written form
+          if (updateAccepted || isSafeMoment()) reloadForUpdate();
+          else reloadPending = true;
         });
       } catch (err) {
         console.error("SW registration failed:", err);
       }
     });
+
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState !== "hidden" || !isSafeMoment()) return;
+      if (reloadPending) reloadForUpdate();
+      else if (waitingWorker) applyUpdate(false);
+    });
+  }
+
+  function onWorkerMessage(event) {
+    const msg = event.data || {};
+    if (msg.type !== "version") return;
+    if (waitingWorker && event.source === waitingWorker) {
+      updateInfo = { version: msg.version, notes: msg.notes };
+      renderUpdateToast();
+      return;
+    }
+    const seen = settings.get(UPDATE_SEEN_KEY);
+    settings.set(UPDATE_SEEN_KEY, msg.version);
+    // first visit: nothing to announce
+    if (seen && seen !== msg.version && !waitingWorker) {
+      updateInfo = { version: msg.version, notes: msg.notes, applied: true };
+      renderUpdateToast();
+    }
+  }
+
+  function mediaPlaying() {
+    return [...document.querySelectorAll("video, audio")].some(m => !m.paused && !m.ended);
+  }
+
+  function formDirty() {
+    return [...document.querySelectorAll("form input, form textarea, form select")].some(el =>
+      (el.type === "checkbox" || el.type === "radio") ? el.checked !== el.defaultChecked : el.value !== el.defaultValue);
+  }
+
+  function isSafeMoment() {
+    return !mediaPlaying() && !formDirty();
   }
 
   function showUpdateReady(worker) {
-    // Simple confirm; replace with custom UI if desired
+    waitingWorker = worker;
+    updateInfo = null;
+    renderUpdateToast();
+    // the waiting worker answers with its own version and notes (see onWorkerMessage)
+    worker.postMessage({ action: "version" });
+  }
+
+  // accepted: true when the member asked for it, so the reload follows even mid-video
+  function applyUpdate(accepted) {
+    if (!waitingWorker) return;
+    updateAccepted = accepted !== false;
     try {
-      const ok = confirm("A new version is available. Refresh to update?");
-      if (ok) {
-        // Ask worker to skipWaiting (SW must listen for this message and call self.skipWaiting())
-        try {
-          worker.postMessage && worker.postMessage({ type: "SKIP_WAITING" });
-        } catch (e) {
-          console.warn("Couldn't postMessage to waiting worker", e);
-        }
-        // as fallback, try to call update() so browser downloads new SW and triggers controllerchange
-        if (swRegistration && swRegistration.update) {
-          swRegistration.update().catch(() => {});
-        }
-      }
+      waitingWorker.postMessage({ type: "SKIP_WAITING" });
     } catch (e) {
-      console.warn("showUpdateReady error", e);
+      console.warn("Couldn't postMessage to waiting worker", e);
     }
+    waitingWorker = null;
+    removeUpdateToast();
   }
 
-  // If your service-worker doesn't already listen for SKIP_WAITING, add this snippet to it:
-  // self.addEventListener('message', (e) => { if (e.data && e.data.type === 'SKIP_WAITING') self.skipWaiting(); });
+  function reloadForUpdate() {
+    if (refreshing) return;
+    refreshing = true;
+    window.location.reload();
+  }
+
+  function releaseNotes() {
+    const notes = (updateInfo && updateInfo.notes) || {};
+    const lang = window.i18n ? window.i18n.lang : "en";
+    return notes[lang] || notes.en || [];
+  }
+
+  // Non-blocking toast: "version X is ready" with Update / Later, or "updated to X" with OK
+  function renderUpdateToast() {
+    if (!waitingWorker && !(updateInfo && updateInfo.applied)) return;
+    if (!updateToastEl) {
+      updateToastEl = document.createElement("div");
+      updateToastEl.id = "pwa-update-toast";
+      updateToastEl.setAttribute("role", "status");
+      updateToastEl.setAttribute("aria-live", "polite");
+      updateToastEl.style.cssText = [
+        "position:fixed",
+        "left:50%",
+        "bottom:16px",
+        "transform:translateX(-50%)",
+        "max-width:360px",
+        "width:calc(100% - 24px)",
+        "box-sizing:border-box",
+        "padding:12px 14px",
+        "background:#fff",
+        "color:#000",
+        "border-radius:10px",
+        "box-shadow:0 8px 30px rgba(0,0,0,.18)",
+        "z-index:9998",
+        "font-size:0.875rem",
+        "font-family:system-ui, -apple-system, 'Segoe UI', Roboto, 'Helvetica Neue', Arial"
+      ].join(";");
+      document.body.appendChild(updateToastEl);
+    }
+    const applied = !!(updateInfo && updateInfo.applied);
+    const version = updateInfo ? updateInfo.version : "";
+    updateToastEl.textContent = "";
+
+    const title = document.createElement("strong");
+    if (applied) title.textContent = t("update.applied", { version });
+    else title.textContent = version ? t("update.ready", { version }) : t("update.readyNoVersion");
+    updateToastEl.appendChild(title);
+
+    const notes = releaseNotes();
+    if (notes.length) {
+      const list = document.createElement("ul");
+      list.style.cssText = "margin:6px 0;padding-left:18px;font-size:0.8125rem";
+      notes.forEach(note => {
+        const li = document.createElement("li");
+        li.textContent = note;
+        list.appendChild(li);
+      });
+      updateToastEl.appendChild(list);
+    }
+    if (!applied) {
+      const hint = document.createElement("div");
+      hint.style.cssText = "font-size:0.75rem;color:rgba(0,0,0,.66)";
+      hint.textContent = t("update.laterHint");
+      updateToastEl.appendChild(hint);
+    }
+
+    const btnWrap = document.createElement("div");
+    btnWrap.style.cssText = "display:flex;gap:8px;justify-content:flex-end;margin-top:8px";
+    const primary = document.createElement("button");
+    primary.textContent = applied ? t("install.ok") : t("update.apply");
+    primary.style.cssText = "padding:8px 12px;border-radius:8px;border:0;background:#0a84ff;color:#fff;font-weight:600;cursor:pointer";
+    primary.addEventListener("click", () => applied ? removeUpdateToast() : applyUpdate(true));
+    btnWrap.appendChild(primary);
+    if (!applied) {
+      const later = document.createElement("button");
+      later.textContent = t("update.later");
+      later.style.cssText = "padding:8px 12px;border-radius:8px;border:1px solid rgba(0,0,0,.08);background:transparent;cursor:pointer";
+      later.addEventListener("click", removeUpdateToast);
+      btnWrap.appendChild(later);
+    }
+    updateToastEl.appendChild(btnWrap);
+  }
+
+  function removeUpdateToast() {
+    if (!updateToastEl) return;
+    updateToastEl.remove();
+    updateToastEl = null;
+    if (updateInfo && updateInfo.applied) updateInfo = null;
+  }
+
+  // the toast is built in code, so re-render it rather than relying on data-i18n
+  if (window.i18n) window.i18n.onChange(() => { if (updateToastEl) renderUpdateToast(); });
+
+  // ---------- Install manager ----------
+  // The only owner of beforeinstallprompt, the prompt cooldown (INSTALL_STORAGE_KEY) and the
+  // platform hints. Buttons bind through window.pwa: on("installable" | "installed" | "installchange", fn),
+  // getState() and triggerInstall(). The centred banner below is just one more consumer.
+  const INSTALL_EVENTS = ["installable", "installed", "installchange"];
+  const installListeners = new Map(INSTALL_EVENTS.map(name => [name, new Set()]));
+  // the manifest asks for fullscreen; browsers fall back through these in order
+  const STANDALONE_QUERIES = ["(display-mode: fullscreen)", "(display-mode: standalone)", "(display-mode: minimal-ui)", "(display-mode: window-controls-overlay)"];
+  let promptInFlight = null;
+
+  function isiOS() {
+    // iPadOS reports itself as a Mac; touch support gives it away
+    return /iphone|ipad|ipod/i.test(navigator.userAgent) || (navigator.platform === "MacIntel" && navigator.maxTouchPoints > 1);
+  }
+
+  function installPlatform() {
+    if (isiOS()) return "ios";
+    if (/android/i.test(navigator.userAgent)) return "android";
+    return "desktop";
+  }
+
+  // Running from the home screen or an app window rather than a browser tab
+  function isStandalone() {
+    if (navigator.standalone === true) return true; // iOS home-screen app
+    if (document.referrer.startsWith("android-app://")) return true; // Trusted Web Activity
+    if (!window.matchMedia) return false;
+    // a tab playing video fullscreen matches display-mode: fullscreen too
+    return STANDALONE_QUERIES.some(q => window.matchMedia(q).matches && !(q.includes("fullscreen") && document.fullscreenElement));
+  }
+
+  function getInstallState() {
+    const st = readInstallState();
+    const standalone = isStandalone();
+    const installed = standalone || (!!st.installed && !deferredPrompt);
+    return {
+      installed,
+      standalone,
+      installable: !installed && !!deferredPrompt,
+      platform: installPlatform(),
+      // what triggerInstall() would do: the browser's dialog, the iOS Share-sheet steps, or point at the browser menu
+      method: installed ? null : deferredPrompt ? "prompt" : isiOS() ? "ios" : "menu",
+      canAutoPrompt: canShowPromptNow(),
+      lastOutcome: st.lastOutcome || null
+    };
+  }
+
+  // Returns an unsubscribe function. Late subscribers still hear "installable"/"installed" if it's already so.
+  function onInstallEvent(name, fn) {
+    const listeners = installListeners.get(name);
+    if (!listeners) throw new TypeError("Unknown install event: " + name);
+    listeners.add(fn);
+    const state = getInstallState();
+    if ((name === "installable" && state.installable) || (name === "installed" && state.installed)) {
+      Promise.resolve().then(() => { if (listeners.has(fn)) fn(getInstallState()); });
+    }
+    return () => listeners.delete(fn);
+  }
+
+  // Every event is followed by "installchange", the one to use for show/hide logic
+  function emitInstall(name) {
+    const state = getInstallState();
+    new Set([name, "installchange"]).forEach(n => installListeners.get(n).forEach(fn => {
+      try { fn(state); } catch (err) { console.warn("Install listener failed", err); }
+    }));
+  }
 
-  // ---------- Install flow ----------
-  // Try to prompt as soon as possible when installability is announced.
   window.addEventListener("beforeinstallprompt", (e) => {
-    e.preventDefault(); // hold the event
+    e.preventDefault(); // hold the event for triggerInstall()
     deferredPrompt = e;
-    console.log("beforeinstallprompt captured");
-
-    // Decide whether to auto-prompt:
-    const shouldAutoTry = (cameFromExternalReferrer() || urlRequestsAutoPrompt());
+    // browsers only offer this while the app isn't installed, so an older "installed" flag is stale
+    const st = readInstallState();
+    if (st.installed) {
+      delete st.installed;
+      delete st.installedAt;
+      writeInstallState(st);
+    }
+    emitInstall("installable");
 
-    // If we're allowed by our cooldown and the page is visible, try immediate prompt.
-    if (shouldAutoTry && canShowPromptNow()) {
-      // If the page is visible, attempt immediate prompt; otherwise wait until visible
+    // Arriving from another site (or ?auto_prompt=1) prompts straight away, within the cooldown;
+    // otherwise the banner offers it
+    if ((cameFromExternalReferrer() || urlRequestsAutoPrompt()) && canShowPromptNow()) {
       if (document.visibilityState === "visible") {
         attemptPromptWithGestureFallback();
       } else {
@@ -146,72 +358,81 @@
         document.addEventListener("visibilitychange", onVis);
       }
     } else {
-      // do not auto show — expose a subtle UI for the user
-      createInstallBanner(); // a small CTA that will call prompt when clicked
+      createInstallBanner();
     }
   });
 
-  // Attempt to call prompt(); if the browser requires a user gesture, we attach a one-time
-  // listener for the next user interaction and then call prompt().
+  // Shows the browser's install dialog; callers that overlap share the one dialog and its outcome
+  function promptInstall() {
+    if (promptInFlight) return promptInFlight;
+    const event = deferredPrompt;
+    promptInFlight = (async () => {
+      try {
+        await event.prompt();
+        const choice = await event.userChoice;
+        const outcome = (choice && choice.outcome) || "dismissed";
+        recordPromptShown(outcome);
+        deferredPrompt = null; // a prompt event can be used only once
+        removeInstallBanner();
+        emitInstall("installchange");
+        return outcome;
+      } finally {
+        promptInFlight = null;
+      }
+    })();
+    return promptInFlight;
+  }
+
+  // Some browsers refuse prompt() without a user gesture; then the next tap or key press opens it
   function attemptPromptWithGestureFallback() {
     if (!deferredPrompt) return;
-
-    const alreadyShown = !canShowPromptNow() === true; // if cooldown prevents show
-    if (alreadyShown) {
-      // fallback: show banner so user can manually install later
+    if (!canShowPromptNow()) {
       createInstallBanner();
       return;
     }
-
-    // Try to call prompt() directly first (works in many Chrome versions)
-    (async () => {
-      try {
-        await deferredPrompt.prompt();
-        const choice = await deferredPrompt.userChoice;
-        console.log("Install dialog result:", choice);
-        recordPromptShown(choice && choice.outcome);
-        deferredPrompt = null;
-        removeInstallBanner();
-      } catch (err) {
-        // If direct prompt failed (maybe needs user gesture), attach one-time gesture listener
-        console.warn("Direct prompt failed; will wait for user gesture", err);
-        waitForUserGestureThenPrompt();
-      }
-    })();
+    promptInstall().catch(err => {
+      console.warn("Direct prompt failed; will wait for user gesture", err);
+      waitForUserGestureThenPrompt();
+    });
   }
 
   function waitForUserGestureThenPrompt() {
     if (!deferredPrompt) return;
-
-    function onGesture() {
+    const onGesture = () => {
       document.removeEventListener("pointerdown", onGesture);
       document.removeEventListener("keydown", onGesture);
-      (async () => {
-        try {
-          await deferredPrompt.prompt();
-          const choice = await deferredPrompt.userChoice;
-          console.log("Install dialog result (after gesture):", choice);
-          recordPromptShown(choice && choice.outcome);
-          deferredPrompt = null;
-          removeInstallBanner();
-        } catch (err) {
-          console.warn("Prompt after gesture failed:", err);
-          // show banner as fallback
-          createInstallBanner();
-        }
-      })();
-    }
-
-    document.addEventListener("pointerdown", onGesture, { once: true, passive: true });
-    document.addEventListener("keydown", onGesture, { once: true, passive: true });
-
-    // Also create banner as a visible fallback (user can click install)
+      if (!deferredPrompt) return;
+      promptInstall().catch(err => {
+        console.warn("Prompt after gesture failed:", err);
+        createInstallBanner();
+      });
+    };
+    document.addEventListener("pointerdown", onGesture, { passive: true });
+    document.addEventListener("keydown", onGesture, { passive: true });
+    // the banner stays as a visible way in
     createInstallBanner();
   }
 
+  // For Install buttons: the browser's dialog when there is one, otherwise the manual steps.
+  // Resolves to "accepted", "dismissed", "installed" (nothing to do) or "manual" (steps shown).
+  async function triggerInstall() {
+    if (getInstallState().installed) return "installed";
+    if (!deferredPrompt) {
+      createManualInstallHint();
+      return "manual";
+    }
+    try {
+      return await promptInstall();
+    } catch (err) {
+      console.warn("triggerInstall failed", err);
+      createManualInstallHint();
+      return "manual";
+    }
+  }
+
   // Create an unobtrusive in-page install banner (only if not already present)
   function createInstallBanner() {
-    if (installBannerEl || !canShowPromptNow()) return;
+    if (installBannerEl || !canShowPromptNow() || getInstallState().installed) return;
 
     installBannerEl = document.createElement("div");
     installBannerEl.id = "pwa-install-banner";
@@ -237,42 +458,35 @@
 
     const txt = document.createElement("div");
     txt.style.flex = "1 1 auto";
-    txt.style.fontSize = "14px";
-    txt.innerHTML = `<strong>Install this app</strong><div style="font-size:12px;color:rgba(0,0,0,.66)">Get a faster experience — add to your home screen.</div>`;
+    txt.style.fontSize = "0.875rem";
+    const title = document.createElement("strong");
+    title.textContent = t("install.title");
+    title.dataset.i18n = "install.title"; // re-translated in place if the language changes
+    const subtitle = document.createElement("div");
+    subtitle.style.cssText = "font-size:0.75rem;color:rgba(0,0,0,.66)";
+    subtitle.textContent = t("install.subtitle");
+    subtitle.dataset.i18n = "install.subtitle";
+    txt.appendChild(title);
+    txt.appendChild(subtitle);
 
     const btnWrap = document.createElement("div");
     btnWrap.style.display = "flex";
     btnWrap.style.gap = "8px";
 
     const installBtn = document.createElement("button");
-    installBtn.textContent = "Install";
+    installBtn.textContent = t("install.install");
+    installBtn.dataset.i18n = "install.install";
     installBtn.style.cssText = "padding:8px 12px;border-radius:8px;border:0;background:#0a84ff;color:#fff;font-weight:600;cursor:pointer";
-    installBtn.addEventListener("click", async () => {
-      if (!deferredPrompt) {
-        // If beforeinstallprompt never fired (browser supports manual flow), try a fallback:
-        // show platform-specific hint (iOS) or encourage Add to Home Screen from menu.
-        createManualInstallHint();
-        return;
-      }
-      try {
-        await deferredPrompt.prompt();
-        const choice = await deferredPrompt.userChoice;
-        console.log("Install prompt result (from banner):", choice);
-        recordPromptShown(choice && choice.outcome);
-        deferredPrompt = null;
-        removeInstallBanner();
-      } catch (err) {
-        console.warn("Install from banner failed:", err);
-        createManualInstallHint();
-      }
-    });
+    installBtn.addEventListener("click", () => triggerInstall());
 
     const closeBtn = document.createElement("button");
-    closeBtn.textContent = "Maybe later";
+    closeBtn.textContent = t("install.later");
+    closeBtn.dataset.i18n = "install.later";
     closeBtn.style.cssText = "padding:8px 12px;border-radius:8px;border:1px solid rgba(0,0,0,.08);background:transparent;cursor:pointer";
     closeBtn.addEventListener("click", () => {
       recordPromptShown("dismissed");
       removeInstallBanner();
+      emitInstall("installchange");
     });
 
     btnWrap.appendChild(installBtn);
@@ -291,61 +505,186 @@
   }
 
   function createManualInstallHint() {
-    // If iOS: show the iOS hint; else show a toast telling user to use browser menu "Add to Home screen"
-    if (isiOS() && !isInStandaloneMode()) {
-      showIosInstallHint();
+    // If iOS: show the iOS hint; else a toast telling the user to use the browser menu "Add to Home screen"
+    const escape = (text) => text.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+    if (isiOS() && !isStandalone()) {
+      const strong = (text) => `<strong>${escape(text)}</strong>`;
+      showInstallHint(t("install.iosHint", { share: strong(t("install.iosShare")), add: strong(t("install.iosAdd")) }));
     } else {
-      // generic hint
-      alert("To install: open the browser menu (⋮) and choose 'Add to Home screen' / 'Install app'.");
+      showInstallHint(escape(t("install.manualHint")));
     }
   }
 
-  // ---------- iOS helper (same as your previous helper) ----------
-  function isiOS() {
-    return /iphone|ipad|ipod/i.test(window.navigator.userAgent);
-  }
-  function isInStandaloneMode() {
-    return (window.matchMedia && window.matchMedia("(display-mode: standalone)").matches) || window.navigator.standalone === true;
-  }
-  function showIosInstallHint() {
-    if (document.getElementById("ios-install-hint")) return;
-    const hint = document.createElement("div");
-    hint.id = "ios-install-hint";
-    hint.style.cssText = "position:fixed;left:12px;right:12px;bottom:14px;padding:12px;background:#fff;color:#000;border-radius:8px;box-shadow:0 6px 18px rgba(0,0,0,.15);z-index:9999;text-align:center;font-size:14px";
-    hint.innerHTML = `To install this app on iOS: tap <strong>Share</strong> → <strong>Add to Home Screen</strong>. <button id="ios-install-close" style="margin-left:8px">OK</button>`;
-    document.body.appendChild(hint);
-    document.getElementById("ios-install-close").addEventListener("click", () => hint.remove());
+  // Non-blocking, like the update toast; a second tap just replaces the text
+  function showInstallHint(html) {
+    let hint = document.getElementById("install-hint");
+    if (!hint) {
+      hint = document.createElement("div");
+      hint.id = "install-hint";
+      hint.setAttribute("role", "status");
+      hint.setAttribute("aria-live", "polite");
+      hint.style.cssText = "position:fixed;left:12px;right:12px;bottom:14px;padding:12px;background:#fff;color:#000;border-radius:8px;box-shadow:0 6px 18px rgba(0,0,0,.15);z-index:9999;text-align:center;font-size:0.875rem";
+      document.body.appendChild(hint);
+    }
+    hint.innerHTML = `${html} <button id="install-hint-close" style="margin-left:8px"></button>`;
+    hint.querySelector("#install-hint-close").textContent = t("install.ok");
+    hint.querySelector("#install-hint-close").addEventListener("click", () => hint.remove());
   }
 
   // ---------- Observe actual install ----------
   window.addEventListener("appinstalled", () => {
-    console.log("PWA installed (appinstalled event)");
     const st = readInstallState();
     st.installed = true;
     st.installedAt = now();
     writeInstallState(st);
     deferredPrompt = null;
     removeInstallBanner();
+    emitInstall("installed");
   });
 
-  // ---------- Public quick helpers (optional) ----------
-  // If you want a programmatic "Install" button later, you can call:
-  window.pwa = window.pwa || {};
-  window.pwa.triggerInstall = async function() {
-    if (!deferredPrompt) {
-      createManualInstallHint();
-      return;
-    }
-    try {
-      await deferredPrompt.prompt();
-      const choice = await deferredPrompt.userChoice;
-      recordPromptShown(choice && choice.outcome);
-      deferredPrompt = null;
+  // A home-screen launch proves the app is installed (iOS has no appinstalled event)
+  function onDisplayModeChange() {
+    if (isStandalone()) {
+      const st = readInstallState();
+      if (!st.installed) {
+        st.installed = true;
+        st.installedAt = now();
+        writeInstallState(st);
+      }
       removeInstallBanner();
-    } catch (e) {
-      console.warn("triggerInstall failed", e);
-      createManualInstallHint();
+      emitInstall("installed");
+    } else {
+      emitInstall("installchange");
     }
+  }
+  if (isStandalone()) onDisplayModeChange();
+  if (window.matchMedia) {
+    STANDALONE_QUERIES.forEach(q => {
+      const mq = window.matchMedia(q);
+      if (mq.addEventListener) mq.addEventListener("change", onDisplayModeChange);
+      else if (mq.addListener) mq.addListener(onDisplayModeChange);
+    });
+  }
+
+  // ---------- Push notifications ----------
+  // Preferences live in the settings store for the page and are mirrored to the service worker
+  // ({action:'push-topics'}), which drops pushes for topics the member switched off.
+  function pushSupported() {
+    return "serviceWorker" in navigator && "Notification" in window;
+  }
+
+  function readPushPrefs() {
+    const prefs = settings.get(PUSH_PREFS_KEY) || {};
+    return { enabled: !!prefs.enabled, topics: Array.isArray(prefs.topics) ? prefs.topics : PUSH_TOPICS.slice() };
+  }
+  function writePushPrefs(prefs) {
+    settings.set(PUSH_PREFS_KEY, prefs);
+  }
+
+  async function syncPushTopicsToWorker(prefs) {
+    const reg = await navigator.serviceWorker.ready;
+    const worker = navigator.serviceWorker.controller || reg.active;
+    if (worker) worker.postMessage({ action: "push-topics", topics: prefs.enabled ? prefs.topics : [] });
+  }
+
+  function urlBase64ToUint8Array(base64) {
+    const padded = (base64 + "=".repeat((4 - base64.length % 4) % 4)).replace(/-/g, "+").replace(/_/g, "/");
+    return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+  }
+
+  async function postSubscription(url, subscription, topics) {
+    const resp = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ subscription, topics, lang: window.i18n ? window.i18n.lang : "en" })
+    });
+    if (!resp.ok) throw new Error("HTTP " + resp.status + " from " + url);
+  }
+
+  async function currentSubscription() {
+    if (!PUSH_VAPID_PUBLIC_KEY || !pushSupported()) return null;
+    const reg = await navigator.serviceWorker.ready;
+    return reg.pushManager ? reg.pushManager.getSubscription() : null;
+  }
+
+  async function getPushState() {
+    const prefs = readPushPrefs();
+    return {
+      supported: pushSupported(),
+      permission: "Notification" in window ? Notification.permission : "denied",
+      enabled: prefs.enabled,
+      topics: prefs.topics,
+      serverConfigured: !!PUSH_VAPID_PUBLIC_KEY,
+      subscription: await currentSubscription().catch(() => null)
+    };
+  }
+
+  // Must run from a user gesture (permission prompt)
+  async function enablePush(topics) {
+    if (!pushSupported()) throw new Error("Notifications are not supported");
+    const permission = await Notification.requestPermission();
+    if (permission !== "granted") throw new Error("Notification permission " + permission);
+    const prefs = { enabled: true, topics: topics || readPushPrefs().topics };
+    if (PUSH_VAPID_PUBLIC_KEY) {
+      const reg = await navigator.serviceWorker.ready;
+      const subscription = await reg.pushManager.getSubscription() || await reg.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(PUSH_VAPID_PUBLIC_KEY)
+      });
+      await postSubscription(PUSH_SUBSCRIBE_URL, subscription, prefs.topics);
+    }
+    writePushPrefs(prefs);
+    await syncPushTopicsToWorker(prefs);
+    return getPushState();
+  }
+
+  async function disablePush() {
+    const prefs = { ...readPushPrefs(), enabled: false };
+    writePushPrefs(prefs);
+    const subscription = await currentSubscription().catch(() => null);
+    if (subscription) {
+      postSubscription(PUSH_UNSUBSCRIBE_URL, subscription, []).catch(err => console.warn("Push unsubscribe not delivered", err));
+      await subscription.unsubscribe().catch(() => {});
+    }
+    await syncPushTopicsToWorker(prefs);
+    return getPushState();
+  }
+
+  async function setPushTopics(topics) {
+    const prefs = { ...readPushPrefs(), topics: topics.filter(tp => PUSH_TOPICS.includes(tp)) };
+    writePushPrefs(prefs);
+    if (prefs.enabled) {
+      const subscription = await currentSubscription().catch(() => null);
+      if (subscription) await postSubscription(PUSH_SUBSCRIBE_URL, subscription, prefs.topics).catch(err => console.warn("Push topics not delivered", err));
+      await syncPushTopicsToWorker(prefs);
+    }
+    return getPushState();
+  }
+
+  // Keep the worker's copy in step (e.g. after its storage was cleared or a new worker took over)
+  if (pushSupported() && readPushPrefs().enabled) {
+    syncPushTopicsToWorker(readPushPrefs()).catch(() => {});
+  }
+
+  // ---------- Public API ----------
+  window.pwa = window.pwa || {};
+  window.pwa.on = onInstallEvent;
+  window.pwa.getState = getInstallState;
+  window.pwa.triggerInstall = triggerInstall;
+
+  window.pwa.update = {
+    isWaiting: () => !!waitingWorker,
+    getInfo: () => updateInfo,
+    apply: () => applyUpdate(true)
+  };
+
+  window.pwa.push = {
+    topics: PUSH_TOPICS.slice(),
+    isSupported: pushSupported,
+    getState: getPushState,
+    enable: enablePush,
+    disable: disablePush,
+    setTopics: setPushTopics
   };
 
   // Optional: If you want auto prompt for testing, you can append ?auto_prompt=1 to the URL
@@ -0,0 +1,141 @@
+// i18n.js — translations, plurals and locale-aware formatting shared by index.html and app.js
+// Translation files live in i18n/<code>.json (flat "section.key" messages). To add a language,
+// drop in a new file and list its code in i18n/languages.json; nothing in the scripts changes.
+(() => {
+  const BASE_URL = "./i18n/";
+  const DEFAULT_LANG = "en";
+  const LANG_STORAGE_KEY = "ui.lang";
+
+  const catalogs = {};            // code -> { key: message }
+  const listeners = new Set();
+  let languages = [{ code: DEFAULT_LANG, name: "English" }];
+  let lang = DEFAULT_LANG;
+
+  function storedLang() {
+    return window.settings ? window.settings.get(LANG_STORAGE_KEY, DEFAULT_LANG) : DEFAULT_LANG;
+  }
+
+  // JSON goes through the service worker's API path, so the last fetched catalog works offline
+  async function fetchJSON(url) {
+    const resp = await fetch(url, { headers: { "Accept": "application/json" } });
+    if (!resp.ok) throw new Error("HTTP " + resp.status + " for " + url);
+    return resp.json();
+  }
+
+  async function loadCatalog(code) {
+    if (catalogs[code]) return catalogs[code];
+    try {
+      catalogs[code] = await fetchJSON(BASE_URL + encodeURIComponent(code) + ".json");
+    } catch (err) {
+      console.warn("Could not load translations for", code, err);
+      catalogs[code] = null;
+    }
+    return catalogs[code];
+  }
+
+  async function loadLanguages() {
+    try {
+      const list = await fetchJSON(BASE_URL + "languages.json");
+      if (Array.isArray(list) && list.length) languages = list;
+    } catch (err) {
+      console.warn("Could not load language list", err);
+    }
+    return languages;
+  }
+
+  // Current language first, then English, then the key itself so a missing string is visible but harmless
+  function lookup(key) {
+    for (const code of [lang, DEFAULT_LANG]) {
+      const catalog = catalogs[code];
+      if (catalog && catalog[key] !== undefined) return { code, message: catalog[key] };
+    }
+    return { code: lang, message: key };
+  }
+
+  // Plural messages are objects keyed by Intl.PluralRules categories: { "one": "...", "other": "..." }
+  function t(key, vars = {}) {
+    const { code, message } = lookup(key);
+    let text = message;
+    if (text && typeof text === "object") {
+      const category = typeof vars.count === "number" ? new Intl.PluralRules(code).select(vars.count) : "other";
+      text = text[category] !== undefined ? text[category] : text.other;
+    }
+    return String(text).replace(/\{(\w+)\}/g, (m, name) => {
+      if (vars[name] === undefined) return m;
+      return typeof vars[name] === "number" ? formatNumber(vars[name]) : String(vars[name]);
+    });
+  }
+
+  function toDate(value) {
+    return value instanceof Date ? value : new Date(value);
+  }
+
+  function formatDate(value, options = { dateStyle: "medium" }) {
+    return new Intl.DateTimeFormat(lang, options).format(toDate(value));
+  }
+
+  function formatTime(value, options = { timeStyle: "short" }) {
+    return new Intl.DateTimeFormat(lang, options).format(toDate(value));
+  }
+
+  function formatNumber(value, options) {
+    return new Intl.NumberFormat(lang, options).format(value);
+  }
+
+  // "5 minutes ago", "yesterday", "2 days ago" in the current language
+  const RELATIVE_UNITS = [["year", 31536000], ["month", 2592000], ["week", 604800], ["day", 86400], ["hour", 3600], ["minute", 60]];
+  function formatRelative(value, now = Date.now()) {
+    const seconds = Math.round((toDate(value).getTime() - now) / 1000);
+    const rtf = new Intl.RelativeTimeFormat(lang, { numeric: "auto" });
+    for (const [unit, size] of RELATIVE_UNITS) {
+      if (Math.abs(seconds) >= size) return rtf.format(Math.round(seconds / size), unit);
+    }
+    return rtf.format(0, "second");
+  }
+
+  // Static markup opts in with data-i18n (text) and data-i18n-<attribute> (e.g. data-i18n-title)
+  function translateDOM(root = document) {
+    root.querySelectorAll("[data-i18n]").forEach(el => {
+      el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll("*").forEach(el => {
+      for (const attr of el.attributes) {
+        if (attr.name.startsWith("data-i18n-")) el.setAttribute(attr.name.slice("data-i18n-".length), t(attr.value));
+      }
+    });
+  }
+
+  async function setLang(code) {
+    const next = code || DEFAULT_LANG;
+    await loadCatalog(next);
+    lang = catalogs[next] ? next : DEFAULT_LANG;
+    const meta = (catalogs[lang] && catalogs[lang]["@meta"]) || {};
+    document.documentElement.lang = lang;
+    document.documentElement.dir = meta.dir || "ltr";
+    listeners.forEach(fn => {
+      try { fn(lang); } catch (e) { console.warn("i18n listener failed", e); }
+    });
+    return lang;
+  }
+
+  function onChange(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  const ready = Promise.all([loadLanguages(), loadCatalog(DEFAULT_LANG)]).then(() => setLang(storedLang()));
+
+  window.i18n = {
+    t,
+    setLang,
+    onChange,
+    ready,
+    formatDate,
+    formatTime,
+    formatNumber,
+    formatRelative,
+    translateDOM,
+    get lang() { return lang; },
+    get languages() { return languages.slice(); }
+  };
+})();
@@ -0,0 +1,133 @@
+// Generated by tools/build-precache.js; do not edit by hand.
+self.__PRECACHE_MANIFEST = [
+  {
+    "url": "./",
+    "revision": "f2ecc125e3ecf317",
+    "size": 192449
+  },
+  {
+    "url": "./index.html",
+    "revision": "f2ecc125e3ecf317",
+    "size": 192449
+  },
+  {
+    "url": "./style.css",
+    "revision": "8e7815f612c4ed32",
+    "size": 22332
+  },
+  {
+    "url": "./app.js",
+    "revision": "b747c66e5f4e1da0",
+    "size": 27070
+  },
+  {
+    "url": "./settings.js",
+    "revision": "fe3a18cdf2b7a65f",
+    "size": 8318
+  },
+  {
+    "url": "./i18n.js",
+    "revision": "61e24cbea2051a65",
+    "size": 5103
+  },
+  {
+    "url": "./qr.js",
+    "revision": "69490b57d53f5c14",
+    "size": 12416
+  },
+  {
+    "url": "./vendor/hls.js/hls.min.js",
+    "revision": "72b87a6e58db623f",
+    "size": 543243
+  },
+  {
+    "url": "./i18n/languages.json",
+    "revision": "30c1ddcfd180783d",
+    "size": 83
+  },
+  {
+    "url": "./i18n/en.json",
+    "revision": "cb3bb2bad0302772",
+    "size": 14685
+  },
+  {
+    "url": "./i18n/sw.json",
+    "revision": "2f492d694f5584ed",
+    "size": 15758
+  },
+  {
+    "url": "./manifest.json",
+    "revision": "043722d652ef6bfd",
+    "size": 709
+  },
+  {
+    "url": "./maskable_icon_x192.png",
+    "revision": "63f24a67debec3f8",
+    "size": 34035
+  },
+  {
+    "url": "./maskable_icon_x512.png",
+    "revision": "d451fa7c59c39659",
+    "size": 257030
+  },
+  {
+    "url": "./church-service.jpg",
+    "revision": "92735132ad59de0b",
+    "size": 175868
+  },
+  {
+    "url": "./data/notices.json",
+    "revision": "abf72f4f30c49a88",
+    "size": 548
+  },
+  {
+    "url": "./data/sermons.json",
+    "revision": "61a40d4bc57dcbb5",
+    "size": 801
+  },
+  {
+    "url": "./data/schedule.json",
+    "revision": "d1021bf245cae13c",
+    "size": 3323
+  },
+  {
+    "url": "./data/home.json",
+    "revision": "e9a35be42e22b584",
+    "size": 2044
+  },
+  {
+    "url": "./data/podcast.xml",
+    "revision": "5df579dfb527d5cf",
+    "size": 1114
+  },
+  {
+    "url": "./data/bible/books.json",
+    "revision": "4e909372aed5875e",
+    "size": 14747
+  },
+  {
+    "url": "./data/bible/translations.json",
+    "revision": "f03a12cda49e66ff",
+    "size": 231
+  },
+  {
+    "url": "./data/bible/plans.json",
+    "revision": "025118470772628d",
+    "size": 3508
+  },
+  {
+    "url": "./first-video.mp4",
+    "revision": "0cb711099ec19a9d",
+    "size": 4181396
+  },
+  {
+    "url": "./captions/first-video.en.vtt",
+    "revision": "4f23ab90d6ce7400",
+    "size": 323
+  },
+  {
+    "url": "./captions/first-video.sw.vtt",
+    "revision": "d8b339917c697360",
+    "size": 503
+  }
+];
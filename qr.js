@@ -0,0 +1,332 @@
+// qr.js — QR code generator for the settings transfer code (byte mode, error correction M or L)
+// Follows ISO/IEC 18004. index.html loads it on demand: qr.encode(text) returns { size, modules }
+// with modules[y][x] true for a dark module, and qr.svg(text) draws that as an SVG string.
+(() => {
+  // Error correction codewords per block and number of blocks, indexed by version (1-40)
+  const ECC_LEVELS = {
+    M: {
+      formatBits: 0,
+      perBlock: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+      blocks: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49]
+    },
+    L: {
+      formatBits: 1,
+      perBlock: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+      blocks: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25]
+    }
+  };
+  const MAX_VERSION = 40;
+
+  // Modules left for data and error correction once the function patterns are drawn
+  function rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const align = Math.floor(version / 7) + 2;
+      result -= (25 * align - 10) * align - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  function dataCodewords(version, ecc) {
+    return Math.floor(rawDataModules(version) / 8) - ecc.perBlock[version] * ecc.blocks[version];
+  }
+
+  // Byte mode: 4-bit mode indicator, 8- or 16-bit length, then the bytes
+  function bitsNeeded(version, length) {
+    return 4 + (version <= 9 ? 8 : 16) + 8 * length;
+  }
+
+  /* Reed-Solomon over GF(256), polynomial 0x11D */
+  function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  function rsDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = gfMultiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = gfMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  function rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const b of data) {
+      const factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+    }
+    return result;
+  }
+
+  // Split into blocks, add each block's error correction, then interleave the blocks
+  function addEccAndInterleave(data, version, ecc) {
+    const numBlocks = ecc.blocks[version];
+    const blockEccLen = ecc.perBlock[version];
+    const rawCodewords = Math.floor(rawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+    const divisor = rsDivisor(blockEccLen);
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+      const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+      k += dat.length;
+      const block = dat.concat(rsRemainder(dat, divisor));
+      if (i < numShortBlocks) block.splice(dat.length, 0, 0); // padding, skipped when interleaving
+      blocks.push(block);
+    }
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+      });
+    }
+    return result;
+  }
+
+  function alignmentPositions(version, size) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < count; pos -= step) result.splice(1, 0, pos);
+    return result;
+  }
+
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+  ];
+
+  function getBit(value, i) {
+    return ((value >>> i) & 1) !== 0;
+  }
+
+  class Matrix {
+    constructor(version, ecc) {
+      this.version = version;
+      this.ecc = ecc;
+      this.size = version * 4 + 17;
+      this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+      this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+      this.drawFunctionPatterns();
+    }
+
+    setFunction(x, y, dark) {
+      this.modules[y][x] = dark;
+      this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+      const size = this.size;
+      for (let i = 0; i < size; i++) {
+        this.setFunction(6, i, i % 2 === 0);
+        this.setFunction(i, 6, i % 2 === 0);
+      }
+      this.drawFinder(3, 3);
+      this.drawFinder(size - 4, 3);
+      this.drawFinder(3, size - 4);
+      const positions = alignmentPositions(this.version, size);
+      const last = positions.length - 1;
+      positions.forEach((x, i) => positions.forEach((y, j) => {
+        // the three corners already hold finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        this.drawAlignment(x, y);
+      }));
+      this.drawFormatBits(0); // reserved now, written for real once the mask is chosen
+      this.drawVersion();
+    }
+
+    drawFinder(x, y) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          const xx = x + dx;
+          const yy = y + dy;
+          if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) this.setFunction(xx, yy, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+
+    drawAlignment(x, y) {
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) this.setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+
+    drawFormatBits(mask) {
+      const data = (this.ecc.formatBits << 3) | mask;
+      let rem = data;
+      for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+      const bits = ((data << 10) | rem) ^ 0x5412;
+      const size = this.size;
+      for (let i = 0; i <= 5; i++) this.setFunction(8, i, getBit(bits, i));
+      this.setFunction(8, 7, getBit(bits, 6));
+      this.setFunction(8, 8, getBit(bits, 7));
+      this.setFunction(7, 8, getBit(bits, 8));
+      for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, getBit(bits, i));
+      for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, getBit(bits, i));
+      for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, getBit(bits, i));
+      this.setFunction(8, size - 8, true); // always dark
+    }
+
+    drawVersion() {
+      if (this.version < 7) return;
+      let rem = this.version;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+      const bits = (this.version << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const a = this.size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        this.setFunction(a, b, getBit(bits, i));
+        this.setFunction(b, a, getBit(bits, i));
+      }
+    }
+
+    // Zig-zag up and down two-module columns from the right, skipping the vertical timing line
+    drawCodewords(codewords) {
+      let i = 0;
+      for (let right = this.size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        for (let vert = 0; vert < this.size; vert++) {
+          for (let j = 0; j < 2; j++) {
+            const x = right - j;
+            const upward = ((right + 1) & 2) === 0;
+            const y = upward ? this.size - 1 - vert : vert;
+            if (!this.isFunction[y][x] && i < codewords.length * 8) {
+              this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+              i++;
+            }
+          }
+        }
+      }
+    }
+
+    // XOR: applying the same mask twice undoes it
+    applyMask(mask) {
+      const test = MASKS[mask];
+      for (let y = 0; y < this.size; y++) {
+        for (let x = 0; x < this.size; x++) {
+          if (!this.isFunction[y][x] && test(x, y)) this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+
+    // The standard's N1-N4 penalties; the mask with the lowest score is used
+    penalty() {
+      const size = this.size;
+      const m = this.modules;
+      let score = 0;
+      const line = get => {
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+          if (i < size && get(i) === get(i - 1)) {
+            run++;
+          } else {
+            if (run >= 5) score += 3 + (run - 5);
+            run = 1;
+          }
+        }
+        // 1:1:3:1:1 finder look-alikes with four light modules on one side
+        for (let i = 0; i + 11 <= size; i++) {
+          const seq = Array.from({ length: 11 }, (_, k) => get(i + k) ? 1 : 0).join("");
+          if (seq === "10111010000" || seq === "00001011101") score += 40;
+        }
+      };
+      for (let y = 0; y < size; y++) line(x => m[y][x]);
+      for (let x = 0; x < size; x++) line(y => m[y][x]);
+      let dark = 0;
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          if (m[y][x]) dark++;
+          if (x < size - 1 && y < size - 1 && m[y][x] === m[y][x + 1] && m[y][x] === m[y + 1][x] && m[y][x] === m[y + 1][x + 1]) score += 3;
+        }
+      }
+      const total = size * size;
+      score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+      return score;
+    }
+  }
+
+  function encode(text) {
+    const bytes = Array.from(new TextEncoder().encode(String(text)));
+    let version = 0;
+    let ecc = null;
+    // M copes better with a scratched or glary screen; L only when M can't hold the data
+    for (const level of [ECC_LEVELS.M, ECC_LEVELS.L]) {
+      for (let v = 1; v <= MAX_VERSION; v++) {
+        if (bitsNeeded(v, bytes.length) <= dataCodewords(v, level) * 8) {
+          version = v;
+          ecc = level;
+          break;
+        }
+      }
+      if (ecc) break;
+    }
+    if (!ecc) throw new RangeError("Too much data for a QR code");
+
+    const capacity = dataCodewords(version, ecc) * 8;
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0x4, 4);
+    push(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(b => push(b, 8));
+    push(0, Math.min(4, capacity - bits.length)); // terminator
+    push(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) push(pad, 8);
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(""), 2));
+
+    const matrix = new Matrix(version, ecc);
+    matrix.drawCodewords(addEccAndInterleave(data, version, ecc));
+    let best = 0;
+    let bestScore = Infinity;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+      matrix.applyMask(mask);
+      matrix.drawFormatBits(mask);
+      const score = matrix.penalty();
+      if (score < bestScore) {
+        best = mask;
+        bestScore = score;
+      }
+      matrix.applyMask(mask);
+    }
+    matrix.applyMask(best);
+    matrix.drawFormatBits(best);
+    return { size: matrix.size, modules: matrix.modules };
+  }
+
+  // border: light modules around the code (the standard asks for 4)
+  function svg(text, { border = 4 } = {}) {
+    const { size, modules } = encode(text);
+    const path = [];
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+      if (dark) path.push(`M${x + border},${y + border}h1v1h-1z`);
+    }));
+    const dim = size + border * 2;
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dim} ${dim}" shape-rendering="crispEdges">` +
+      `<rect width="100%" height="100%" fill="#fff"/><path d="${path.join("")}" fill="#000"/></svg>`;
+  }
+
+  window.qr = { encode, svg };
+})();
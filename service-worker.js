@@ -1,29 +1,46 @@
 /* upgraded service-worker.js
-   - CacheStorage for static files & media
+   - CacheStorage for the precached app shell, runtime files & media, and pinned items
    - IndexedDB for API (JSON) responses + pins for media
    - cache-first for media, network-first for navigation/API with offline fallbacks
-   - Range support for cached full video files (returns 206 slices)
+   - Range support for cached full video and audio files (returns 206 slices)
 */
 
-const CACHE_NAME = "pwa-demo-v4";
-const CORE_ASSETS = [
-  "./",
-  "./index.html",
-  "./style.css",
-  "./app.js",
-  "./manifest.json",
-  "./maskable_icon_x192.png",
-  "./maskable_icon_x512.png",
-  "./images/riverside-logo.png",
-  "./church-service.jpg",
-  "./first-video.mp4" // you can remove large media from CORE_ASSETS if you don't want to prefetch
-];
+// The app shell, with a content hash per file: self.__PRECACHE_MANIFEST = [{ url, revision, size }]
+// (written by tools/build-precache.js). Editing it changes this worker, which starts an update.
+importScripts("./precache-manifest.js");
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST || [];
+
+// Separate caches so an update only ever touches the shell:
+const SHELL_CACHE = "pwa-shell";     // precached files, keyed by url + revision
+const RUNTIME_CACHE = "pwa-runtime"; // copies made while browsing (images, media, ...); trimmed
+const PINNED_CACHE = "pwa-pinned";   // items the member saved offline; only removed by the member
+const LEGACY_CACHES = ["pwa-demo-v4"]; // the single cache of earlier versions, migrated on activate
+
+// Shown in the page's update toast by the waiting worker, so bump both with every release
+const APP_VERSION = "1.1.0";
+const RELEASE_NOTES = {
+  en: [
+    "Read the King James Bible offline, follow a reading plan and save verses.",
+    "Send prayer requests and testimonies, even without a connection.",
+    "Optional notifications for service reminders and new notices.",
+    "See and free up the storage the app uses in Settings."
+  ],
+  sw: [
+    "Soma Biblia ya King James bila mtandao, fuata mpango wa kusoma na uhifadhi mistari.",
+    "Tuma maombi ya maombi na shuhuda, hata bila muunganisho.",
+    "Arifa za hiari za vikumbusho vya ibada na matangazo mapya.",
+    "Ona na upunguze hifadhi ambayo programu inatumia katika Mipangilio."
+  ]
+};
 
 // IndexedDB settings
 const DB_NAME = "pwa-idb-v1";
-const DB_VERSION = 1;
+const DB_VERSION = 4;
 const API_STORE = "api";
 const PIN_STORE = "pins";
+const META_STORE = "meta"; // small key/value settings the page shares with the worker (e.g. language)
+const OUTBOX_STORE = "outbox"; // form submissions waiting for a connection, keyed by their idempotency key
+const LRU_STORE = "lru"; // size and last access of RUNTIME_CACHE entries (see enforceBudgets)
 
 let dbPromise = null;
 function getDB() {
@@ -34,6 +51,9 @@ function getDB() {
       const db = e.target.result;
       if (!db.objectStoreNames.contains(API_STORE)) db.createObjectStore(API_STORE, { keyPath: "url" });
       if (!db.objectStoreNames.contains(PIN_STORE)) db.createObjectStore(PIN_STORE, { keyPath: "url" });
+      if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: "key" });
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) db.createObjectStore(OUTBOX_STORE, { keyPath: "id" });
+      if (!db.objectStoreNames.contains(LRU_STORE)) db.createObjectStore(LRU_STORE, { keyPath: "url" });
     };
     req.onsuccess = (e) => resolve(e.target.result);
     req.onerror = (e) => reject(e.target.error);
@@ -96,67 +116,324 @@ async function idbDelete(storeName, key) {
   });
 }
 
-// Trim entries from an IDB store by timestamp (keep newest `maxEntries`)
-async function trimIDBStore(storeName, maxEntries = 50) {
+/* --------------------------
+   Byte budgets: RUNTIME_CACHE (split into media and other files) and the `api` store are trimmed
+   by size, least recently used first. LRU_STORE keeps { url, bucket, bytes, lastAccess } for the
+   cache entries; `api` rows carry their own bytes/lastAccess. PINNED_CACHE and the shell are
+   never trimmed, and a pinned url is skipped even if a copy sits in the runtime cache.
+-----------------------------*/
+const MB = 1024 * 1024;
+// The most each bucket may use when space allows; the page can override them ({action:'cache-budgets'})
+const CACHE_BUDGETS = { media: 150 * MB, other: 25 * MB, api: 5 * MB };
+// ...and never more than this share of the origin's quota (phones with little space get less)
+const BUDGET_QUOTA_SHARE = { media: 0.2, other: 0.05, api: 0.02 };
+// When less than this share of the quota is free, every budget is halved
+const LOW_FREE_SHARE = 0.1;
+const LRU_TOUCH_INTERVAL_MS = 60 * 1000; // don't rewrite lastAccess on every request
+
+async function cacheBudgets() {
+  const saved = await idbGet(META_STORE, "cacheBudgets").catch(() => null);
+  const budgets = { ...CACHE_BUDGETS, ...((saved && saved.value) || {}) };
+  let estimate = null;
   try {
-    const all = await idbGetAll(storeName);
-    if (!all || all.length <= maxEntries) return;
-    all.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0)); // oldest first
-    const toDelete = all.slice(0, all.length - maxEntries);
-    await Promise.all(toDelete.map(item => idbDelete(storeName, item.url)));
-  } catch (e) {
-    // non-fatal
-    console.warn("trimIDBStore error", e);
+    if (self.navigator && navigator.storage && navigator.storage.estimate) estimate = await navigator.storage.estimate();
+  } catch (e) { /* keep the configured budgets */ }
+  if (estimate && estimate.quota) {
+    const low = (estimate.quota - (estimate.usage || 0)) < estimate.quota * LOW_FREE_SHARE;
+    for (const name of Object.keys(budgets)) {
+      budgets[name] = Math.min(budgets[name], Math.floor(estimate.quota * BUDGET_QUOTA_SHARE[name]));
+      if (low) budgets[name] = Math.floor(budgets[name] / 2);
+    }
   }
+  return budgets;
+}
+
+function runtimeBucket(url) {
+  const u = new URL(url);
+  return isMediaUrl({ destination: "" }, u) ? "media" : "other";
+}
+
+// Put a copy into RUNTIME_CACHE and record its size; budgets are enforced afterwards
+async function putRuntime(request, response) {
+  const url = typeof request === "string" ? request : request.url;
+  const bytes = await cachedResponseSize(response.clone());
+  await (await caches.open(RUNTIME_CACHE)).put(request, response);
+  await idbPut(LRU_STORE, { url, bucket: runtimeBucket(url), bytes, lastAccess: Date.now() });
+}
+
+async function touchRuntime(url) {
+  try {
+    const row = await idbGet(LRU_STORE, url);
+    if (row && Date.now() - row.lastAccess < LRU_TOUCH_INTERVAL_MS) return;
+    await idbPut(LRU_STORE, { url, bucket: runtimeBucket(url), bytes: row ? row.bytes : 0, ...row, lastAccess: Date.now() });
+  } catch (e) { /* non-fatal */ }
+}
+
+async function touchApi(row) {
+  if (Date.now() - (row.lastAccess || 0) < LRU_TOUCH_INTERVAL_MS) return;
+  await idbPut(API_STORE, { ...row, lastAccess: Date.now() }).catch(() => {});
 }
 
-// Trim CacheStorage but don't drop pinned URLs
-async function trimCache(cacheName, maxItems, excludeUrls = new Set()) {
-  const cache = await caches.open(cacheName);
-  const keys = await cache.keys(); // ordered by insertion
-  if (keys.length <= maxItems) return;
-  // delete oldest non-excluded entries until under limit
-  const nonExcluded = keys.filter(k => !excludeUrls.has(k.url));
-  let toDeleteCount = keys.length - maxItems;
-  for (let i = 0; i < nonExcluded.length && toDeleteCount > 0; i++) {
-    await cache.delete(nonExcluded[i]);
-    toDeleteCount--;
+// Drop least recently used entries of each bucket until it fits its budget
+async function enforceBudgets() {
+  const budgets = await cacheBudgets();
+  const pinned = new Set((await idbGetAllKeys(PIN_STORE)) || []);
+  const cache = await caches.open(RUNTIME_CACHE);
+
+  // entries cached before sizes were tracked (or moved here by unpin/migration) get a row now
+  const rows = new Map(((await idbGetAll(LRU_STORE)) || []).map(r => [r.url, r]));
+  const cachedUrls = new Set();
+  for (const req of await cache.keys()) {
+    cachedUrls.add(req.url);
+    if (rows.has(req.url)) continue;
+    const resp = await cache.match(req);
+    const row = { url: req.url, bucket: runtimeBucket(req.url), bytes: resp ? await cachedResponseSize(resp) : 0, lastAccess: 0 };
+    rows.set(req.url, row);
+    await idbPut(LRU_STORE, row);
+  }
+  for (const url of rows.keys()) {
+    if (!cachedUrls.has(url)) { await idbDelete(LRU_STORE, url); rows.delete(url); }
+  }
+
+  for (const bucket of ["media", "other"]) {
+    const entries = [...rows.values()].filter(r => r.bucket === bucket && !pinned.has(r.url))
+      .sort((a, b) => a.lastAccess - b.lastAccess); // least recently used first
+    let total = entries.reduce((sum, r) => sum + r.bytes, 0);
+    for (const row of entries) {
+      if (total <= budgets[bucket]) break;
+      await cache.delete(row.url);
+      await idbDelete(LRU_STORE, row.url);
+      total -= row.bytes;
+    }
+  }
+
+  const apiRows = ((await idbGetAll(API_STORE)) || [])
+    .sort((a, b) => (a.lastAccess || a.timestamp || 0) - (b.lastAccess || b.timestamp || 0));
+  let apiTotal = apiRows.reduce((sum, r) => sum + (r.bytes || 0), 0);
+  for (const row of apiRows) {
+    if (apiTotal <= budgets.api) break;
+    if (pinned.has(row.url)) continue;
+    await idbDelete(API_STORE, row.url);
+    apiTotal -= row.bytes || 0;
   }
 }
 
-// INSTALL: cache core assets tolerant to failures (single missing file won't fail install)
+// Many puts in a row (browsing a page of images) share one pass
+let budgetTimer = null;
+function scheduleBudgetCheck(event) {
+  if (budgetTimer) return;
+  const run = new Promise(resolve => {
+    budgetTimer = setTimeout(() => {
+      enforceBudgets().catch(err => console.warn("Enforcing cache budgets failed", err))
+        .then(() => { budgetTimer = null; resolve(); });
+    }, 1000);
+  });
+  if (event) event.waitUntil(run);
+}
+
+/* --------------------------
+   Data Saver: the page reports its setting ({action:'data-saver', active, deferMedia}); until it
+   has, the worker goes by the connection it can see. While media is deferred, large precached
+   media waits for an unmetered connection and cached videos aren't refreshed in the background.
+   Downloads the member taps for (pins) always go ahead.
+-----------------------------*/
+const LARGE_MEDIA_BYTES = 1 * MB;
+
+function connectionLooksMetered() {
+  const c = self.navigator && navigator.connection;
+  if (!c) return false;
+  return !!c.saveData || c.type === "cellular" || /(^|-)2g$|^3g$/.test(c.effectiveType || "");
+}
+
+async function mediaDeferred(req) {
+  if (req && req.headers.get("save-data") === "on") return true;
+  const saved = await idbGet(META_STORE, "dataSaver").catch(() => null);
+  return saved ? !!saved.value.deferMedia : connectionLooksMetered();
+}
+
+function isLargeMedia(entry) {
+  const url = new URL(entry.url, self.location.href);
+  return (entry.size || 0) > LARGE_MEDIA_BYTES && isMediaUrl({ destination: "" }, url);
+}
+
+/* --------------------------
+   Precache: one SHELL_CACHE entry per url + revision, so the active worker keeps serving its own
+   files while an update installs next to it, and an update only downloads what changed.
+-----------------------------*/
+function precacheKey(entry) {
+  const url = new URL(entry.url, self.location.href);
+  url.searchParams.set("__rev", entry.revision);
+  return url.href;
+}
+
+// url (query string ignored) -> cache key of this worker's revision
+const PRECACHE_KEYS = new Map(PRECACHE_MANIFEST.map(entry => [new URL(entry.url, self.location.href).href, precacheKey(entry)]));
+
+function precachedKeyFor(url) {
+  const u = new URL(url, self.location.href);
+  return PRECACHE_KEYS.get(u.origin + u.pathname);
+}
+
+async function matchPrecache(url) {
+  const key = precachedKeyFor(url);
+  if (!key) return undefined;
+  return (await caches.open(SHELL_CACHE)).match(key);
+}
+
+// The pinned copy first, then this version's precached file, then anything cached while browsing
+async function matchAnyCache(request) {
+  const url = typeof request === "string" ? request : request.url;
+  return await (await caches.open(PINNED_CACHE)).match(url)
+    || await matchPrecache(url)
+    || await (await caches.open(RUNTIME_CACHE)).match(request);
+}
+
+// Same digest as tools/build-precache.js: first 16 hex chars of SHA-256
+async function revisionOf(response) {
+  const digest = await crypto.subtle.digest("SHA-256", await response.arrayBuffer());
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("").slice(0, 16);
+}
+
+// A copy from the pre-manifest cache is reused when its bytes still match the revision
+async function legacyCopy(entry) {
+  for (const name of LEGACY_CACHES) {
+    if (!(await caches.has(name))) continue;
+    const resp = await (await caches.open(name)).match(new URL(entry.url, self.location.href).href);
+    if (resp && resp.ok && await revisionOf(resp.clone()) === entry.revision) return resp;
+  }
+  return null;
+}
+
+async function precacheEntry(cache, entry, { deferLarge = false } = {}) {
+  const key = precacheKey(entry);
+  if (await cache.match(key)) return "unchanged";
+  const legacy = await legacyCopy(entry).catch(() => null);
+  if (legacy) {
+    await cache.put(key, legacy);
+    return "reused";
+  }
+  if (deferLarge && isLargeMedia(entry)) return "deferred";
+  const resp = await fetch(new URL(entry.url, self.location.href).href, { cache: "no-cache" });
+  if (!resp.ok) throw new Error("HTTP " + resp.status);
+  // a file deployed without re-running the build script would be cached under the wrong revision
+  const revision = await revisionOf(resp.clone());
+  if (revision !== entry.revision) throw new Error(`revision ${revision}, manifest says ${entry.revision}`);
+  await cache.put(key, resp);
+  return "downloaded";
+}
+
+// INSTALL: fetch changed shell files. Anything missing fails the install, so the current version
+// stays in charge; the list is kept in META_STORE ("precacheReport") for the storage dashboard.
 self.addEventListener("install", event => {
   event.waitUntil((async () => {
-    const cache = await caches.open(CACHE_NAME);
-    await Promise.all(CORE_ASSETS.map(async (url) => {
+    const cache = await caches.open(SHELL_CACHE);
+    const counts = { unchanged: 0, reused: 0, downloaded: 0, deferred: 0 };
+    const missing = [];
+    const deferLarge = await mediaDeferred();
+    await Promise.all(PRECACHE_MANIFEST.map(async (entry) => {
       try {
-        const resp = await fetch(url, { cache: "no-cache" });
-        if (!resp || !resp.ok) throw new Error("bad response");
-        await cache.put(url, resp.clone());
+        counts[await precacheEntry(cache, entry, { deferLarge })]++;
       } catch (err) {
-        console.warn("Failed to cache (will continue):", url, err);
+        missing.push({ url: entry.url, error: String(err && err.message || err) });
       }
     }));
-    await self.skipWaiting();
+    await idbPut(META_STORE, { key: "precacheReport", value: { version: APP_VERSION, ...counts, missing, timestamp: Date.now() } })
+      .catch(err => console.warn("Saving precache report failed", err));
+    if (missing.length) {
+      console.error("Precache failed:", missing);
+      throw new Error("Precache failed for " + missing.map(m => m.url).join(", "));
+    }
+    // no skipWaiting() here: an update waits until the page sends SKIP_WAITING (the member
+    // accepted it, or nothing was playing) or until every tab of the old version is closed
   })());
 });
 
-// ACTIVATE: cleanup old caches
+// Large media held back by Data Saver, fetched once the connection is unmetered
+async function completeDeferredPrecache() {
+  const cache = await caches.open(SHELL_CACHE);
+  for (const entry of PRECACHE_MANIFEST) {
+    try {
+      await precacheEntry(cache, entry);
+    } catch (err) {
+      console.warn("Deferred precache failed:", entry.url, err);
+    }
+  }
+}
+
+// Pinned items of the single-cache versions move to PINNED_CACHE, other runtime copies to
+// RUNTIME_CACHE; the old cache is dropped afterwards
+async function migrateLegacyCaches() {
+  const pinned = new Set((await idbGetAllKeys(PIN_STORE)) || []);
+  for (const name of LEGACY_CACHES) {
+    if (!(await caches.has(name))) continue;
+    const legacy = await caches.open(name);
+    const pinnedCache = await caches.open(PINNED_CACHE);
+    const runtime = await caches.open(RUNTIME_CACHE);
+    for (const req of await legacy.keys()) {
+      if (!pinned.has(req.url) && precachedKeyFor(req.url)) continue; // now in SHELL_CACHE
+      const resp = await legacy.match(req);
+      if (resp) await (pinned.has(req.url) ? pinnedCache : runtime).put(req, resp);
+    }
+    await caches.delete(name);
+  }
+}
+
+// ACTIVATE: migrate, then drop unknown caches and shell revisions this version doesn't list
 self.addEventListener("activate", event => {
   event.waitUntil((async () => {
-    const keys = await caches.keys();
-    await Promise.all(keys.filter(k => (k !== CACHE_NAME)).map(k => caches.delete(k)));
+    try {
+      await migrateLegacyCaches();
+    } catch (err) {
+      console.warn("Migrating the old cache failed", err);
+    }
+    const known = new Set([SHELL_CACHE, RUNTIME_CACHE, PINNED_CACHE].concat(LEGACY_CACHES));
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => !known.has(name)).map(name => caches.delete(name)));
+    const shell = await caches.open(SHELL_CACHE);
+    const current = new Set(PRECACHE_KEYS.values());
+    for (const req of await shell.keys()) {
+      if (!current.has(req.url)) await shell.delete(req);
+    }
     await self.clients.claim();
+    if (!(await mediaDeferred())) await completeDeferredPrecache();
   })());
 });
 
+// JSON answered from storage says when it was fetched, so pages can label it ("Last updated …")
+const CACHE_TIMESTAMP_HEADER = "X-Cache-Timestamp";
+
+function withCacheTimestamp(response, timestamp) {
+  const headers = new Headers(response.headers);
+  headers.set(CACHE_TIMESTAMP_HEADER, String(timestamp || 0));
+  return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
+
+// When the pin was made, else the copy's Date header (precached files: the deploy they came with)
+async function cachedCopyTimestamp(url, response) {
+  const pin = await idbGet(PIN_STORE, url).catch(() => null);
+  if (pin && pin.timestamp) return pin.timestamp;
+  return Date.parse(response.headers.get("Date") || "") || 0;
+}
+
 // Helpers to detect request type
 function isAPIRequest(req, url) {
+  // the web app manifest is a static asset even though it ends in .json
+  if (req.destination === "manifest") return false;
   // treat explicit JSON accept header, common '/api/' patterns or .json as API
   return (req.headers.get("accept") || "").includes("application/json")
     || url.pathname.includes("/api/")
     || url.pathname.endsWith(".json");
 }
+// RSS/Atom feeds (the podcast) take the API path too; their text is kept instead of parsed JSON
+function isFeedRequest(req, url) {
+  return /(rss|atom)\+xml/.test(req.headers.get("accept") || "")
+    || /\.(rss|atom|xml)$/i.test(url.pathname);
+}
+// The scope root or index.html: the one document every route renders from
+function isAppShellUrl(url) {
+  const scope = new URL(self.registration.scope);
+  return url.origin === scope.origin && (url.pathname === scope.pathname || url.pathname === scope.pathname + "index.html");
+}
 function isStaticAsset(req) {
   return req.destination === "script" ||
          req.destination === "style" ||
@@ -164,55 +441,550 @@ function isStaticAsset(req) {
          req.destination === "font" ||
          req.url.endsWith(".json");
 }
+/* --------------------------
+   Translations for worker-generated pages (same i18n/<code>.json files the page uses)
+-----------------------------*/
+const DEFAULT_LANG = "en";
+
+async function readTranslations(lang) {
+  for (const code of [lang, DEFAULT_LANG]) {
+    const url = new URL(`./i18n/${encodeURIComponent(code)}.json`, self.location.href).href;
+    try {
+      const cached = await matchAnyCache(url);
+      if (cached) return { lang: code, messages: await cached.json() };
+      const row = await idbGet(API_STORE, url);
+      if (row && row.data) return { lang: code, messages: row.data };
+    } catch (e) { /* try the next language */ }
+  }
+  return { lang: DEFAULT_LANG, messages: {} };
+}
+
+function escapeHTML(value) {
+  return String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+async function offlinePage() {
+  const meta = await idbGet(META_STORE, "lang").catch(() => null);
+  const { lang, messages } = await readTranslations((meta && meta.value) || DEFAULT_LANG);
+  const title = escapeHTML(messages["offline.title"] || "Offline");
+  const message = escapeHTML(messages["offline.message"] || "Please check your connection.");
+  return new Response(`<!doctype html><html lang="${escapeHTML(lang)}"><meta charset='utf-8'><title>${title}</title><body><h1>${title}</h1><p>${message}</p></body></html>`, {
+    headers: { "Content-Type": "text/html" }
+  });
+}
+
 function isVideoRequest(req, url) {
   return req.destination === "video" || /\.(mp4|webm|ogg|m3u8)$/i.test(url.pathname);
 }
+// Podcast episodes (an .mp4 enclosure played in <audio> still counts as video above)
+function isAudioRequest(req, url) {
+  return req.destination === "audio" || /\.(mp3|m4a|wav|oga|opus)$/i.test(url.pathname);
+}
+// HLS playlists and media segments (init segments are usually .mp4 and go through the video path)
+function isHLSRequest(url) {
+  return /\.(m3u8|ts|m4s|aac)$/i.test(url.pathname);
+}
+function isHLSPlaylistUrl(url) {
+  return /\.m3u8$/i.test(new URL(url).pathname);
+}
 
 /* --------------------------
-   Message handler (pin / unpin / delete)
+   Message handler (pin / unpin / delete / list / storage)
    - page can postMessage({action:'pin', url})
    - page can postMessage({action:'unpin', url})
    - page can postMessage({action:'delete', url})  // optional immediate delete from cache
+   - page can postMessage({action:'list'})         // replies {type:'pins', urls, downloads}
+   - page can postMessage({action:'storage-report'}) // replies {type:'storage-report', buckets, pins}
+   - page can postMessage({action:'cache-budgets', budgets}) // bytes per bucket ({media, other, api}); trims at once
+   - page can postMessage({action:'clear-cache'})  // drops runtime copies and stored JSON; keeps core assets and pins
+   - page can postMessage({action:'unpin-all'})    // deletes every pinned item ({type:'deleted'} for each)
+   - page can postMessage({action:'replay-outbox'}) // retry queued Connect submissions now
+   - page can postMessage({action:'outbox-list'})  // replies {type:'outbox', entries:[{id, status}]}
+   - page can postMessage({action:'take-share'})   // replies {type:'shared', share} once; see "Share target"
+   - page can postMessage({action:'version'})       // replies {type:'version', version, notes}
+   - page can postMessage({type:'SKIP_WAITING'})    // a waiting worker takes over
+   - page can postMessage({action:'data-saver', active, deferMedia}) // Data Saver state for precache/refresh
+   - page can postMessage({action:'push-topics', topics}) // topics the member wants notifications for
+   - page can postMessage({action:'simulate-push', payload}) // show a notification as if it was pushed
+   Results are broadcast to every open page:
+   {type:'pin-progress', url, loaded, total}, {type:'pinned', url},
+   {type:'pin-error', url, error}, {type:'unpinned', url}, {type:'deleted', url}
+-----------------------------*/
+const activeDownloads = new Map(); // url -> { loaded, total }
+const PROGRESS_INTERVAL_MS = 250;
+
+async function broadcast(msg) {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true, type: "window" });
+  clients.forEach(c => c.postMessage(msg));
+}
+
+// Pages may send relative URLs; pins and cache keys always use the absolute form
+function normalizeUrl(url) {
+  return new URL(url, self.location.href).href;
+}
+
+// Fetch a full copy of `url` into `cache`, reporting progress as the body streams in.
+// The pin handler owns the activeDownloads entry; this only updates its progress.
+async function downloadToCache(cache, url) {
+  const net = await fetch(url, { mode: 'cors' });
+  // if server returns 206 (or an error) for a normal fetch, we do not cache partial
+  if (!net || !net.ok || net.status !== 200) throw new Error('Unexpected status ' + (net && net.status));
+
+  const total = Number(net.headers.get('content-length')) || 0;
+  const progress = { loaded: 0, total };
+  activeDownloads.set(url, progress);
+  let lastReport = 0;
+
+  let body = net.body;
+  if (body && typeof TransformStream !== 'undefined') {
+    body = body.pipeThrough(new TransformStream({
+      transform(chunk, controller) {
+        progress.loaded += chunk.byteLength;
+        const t = Date.now();
+        if (t - lastReport >= PROGRESS_INTERVAL_MS) {
+          lastReport = t;
+          broadcast({ type: 'pin-progress', url, loaded: progress.loaded, total });
+        }
+        controller.enqueue(chunk);
+      }
+    }));
+  }
+  // cache.put resolves only once the whole body has been written
+  await cache.put(url, new Response(body, { status: net.status, statusText: net.statusText, headers: net.headers }));
+}
+
+/* --------------------------
+   HLS (.m3u8) offline downloads
+   - a master playlist is reduced to one rendition (highest BANDWIDTH <= maxBandwidth, else the lowest)
+   - the rendition's media playlist, its audio group, init segments (EXT-X-MAP), keys and every
+     segment are cached and pinned with `parent` pointing at the playlist the member saved
+   - the cached master only lists the saved rendition, so players can't pick one that isn't offline
 -----------------------------*/
+const HLS_MAX_BANDWIDTH = 1500000; // bits/s; roughly 720p
+const HLS_DOWNLOAD_CONCURRENCY = 3;
+const HLS_CONTENT_TYPE = "application/vnd.apple.mpegurl";
+
+// Attribute lists look like: BANDWIDTH=800000,RESOLUTION=640x360,CODECS="avc1.4d401e,mp4a.40.2"
+function parseHLSAttributes(str) {
+  const attrs = {};
+  const re = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let m;
+  while ((m = re.exec(str))) attrs[m[1]] = m[2].replace(/^"|"$/g, "");
+  return attrs;
+}
+
+function parseM3U8(text, baseUrl) {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  if (lines[0] !== "#EXTM3U") throw new Error("Not an HLS playlist: " + baseUrl);
+  const resolve = (uri) => new URL(uri, baseUrl).href;
+  const playlist = { variants: [], media: [], segments: [], resources: [], endList: false };
+  let pendingVariant = null;
+
+  for (const line of lines) {
+    if (line.startsWith("#EXT-X-STREAM-INF:")) {
+      pendingVariant = parseHLSAttributes(line.slice(line.indexOf(":") + 1));
+    } else if (line.startsWith("#EXT-X-MEDIA:")) {
+      const attrs = parseHLSAttributes(line.slice(line.indexOf(":") + 1));
+      if (attrs.URI) attrs.URI = resolve(attrs.URI);
+      playlist.media.push(attrs);
+    } else if (line.startsWith("#EXT-X-MAP:") || line.startsWith("#EXT-X-KEY:")) {
+      const attrs = parseHLSAttributes(line.slice(line.indexOf(":") + 1));
+      if (attrs.URI && !attrs.URI.startsWith("data:")) playlist.resources.push(resolve(attrs.URI));
+    } else if (line === "#EXT-X-ENDLIST") {
+      playlist.endList = true;
+    } else if (!line.startsWith("#")) {
+      if (pendingVariant) {
+        playlist.variants.push({ ...pendingVariant, uri: resolve(line) });
+        pendingVariant = null;
+      } else {
+        playlist.segments.push(resolve(line));
+      }
+    }
+  }
+  return playlist;
+}
+
+function chooseVariant(variants, maxBandwidth = HLS_MAX_BANDWIDTH) {
+  const sorted = [...variants].sort((a, b) => Number(a.BANDWIDTH || 0) - Number(b.BANDWIDTH || 0));
+  const fitting = sorted.filter(v => Number(v.BANDWIDTH || 0) <= maxBandwidth);
+  return fitting.length ? fitting[fitting.length - 1] : sorted[0];
+}
+
+// Keep the master's header tags, the chosen STREAM-INF and the EXT-X-MEDIA lines of its groups
+function rewriteMasterPlaylist(text, baseUrl, variant) {
+  const groups = ["AUDIO", "SUBTITLES", "CLOSED-CAPTIONS"].map(k => variant[k]).filter(Boolean);
+  const out = [];
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    if (line.startsWith("#EXT-X-STREAM-INF:")) {
+      // the URI is the next non-empty, non-tag line
+      let j = i + 1;
+      while (j < lines.length && (!lines[j].trim() || lines[j].trim().startsWith("#"))) j++;
+      if (j < lines.length && new URL(lines[j].trim(), baseUrl).href === variant.uri) {
+        out.push(line, lines[j].trim());
+      }
+      i = j;
+      continue;
+    }
+    if (line.startsWith("#EXT-X-I-FRAME-STREAM-INF:")) continue;
+    if (line.startsWith("#EXT-X-MEDIA:")) {
+      const attrs = parseHLSAttributes(line.slice(line.indexOf(":") + 1));
+      if (!groups.includes(attrs["GROUP-ID"])) continue;
+    }
+    out.push(line);
+  }
+  return out.join("\n") + "\n";
+}
+
+async function fetchPlaylistText(url) {
+  const resp = await fetch(url, { mode: "cors" });
+  if (!resp.ok) throw new Error("Playlist fetch failed (" + resp.status + "): " + url);
+  return resp.text();
+}
+
+function playlistResponse(text) {
+  return new Response(text, { status: 200, headers: { "Content-Type": HLS_CONTENT_TYPE } });
+}
+
+// Download a playlist and everything it needs; returns the list of cached resource urls
+async function downloadHLS(cache, url, maxBandwidth) {
+  const rootText = await fetchPlaylistText(url);
+  const root = parseM3U8(rootText, url);
+
+  const playlists = new Map(); // media playlist url -> text
+  let masterText = null;
+  if (root.variants.length) {
+    const variant = chooseVariant(root.variants, maxBandwidth);
+    masterText = rewriteMasterPlaylist(rootText, url, variant);
+    playlists.set(variant.uri, await fetchPlaylistText(variant.uri));
+    // alternate renditions (e.g. a separate audio track) that belong to the chosen variant
+    const groups = ["AUDIO", "SUBTITLES"].map(k => variant[k]).filter(Boolean);
+    for (const media of root.media) {
+      if (media.URI && groups.includes(media["GROUP-ID"]) && !playlists.has(media.URI)) {
+        playlists.set(media.URI, await fetchPlaylistText(media.URI));
+      }
+    }
+  } else {
+    playlists.set(url, rootText);
+  }
+
+  const files = new Set();
+  for (const [playlistUrl, text] of playlists) {
+    const parsed = parseM3U8(text, playlistUrl);
+    if (!parsed.endList) throw new Error("Live streams can't be saved for offline: " + playlistUrl);
+    parsed.resources.forEach(r => files.add(r));
+    parsed.segments.forEach(r => files.add(r));
+  }
+
+  const queue = [...files];
+  const total = queue.length;
+  let done = 0;
+  activeDownloads.set(url, { loaded: 0, total, unit: "segments" });
+  let failed = false; // one failed file stops the other workers, so nothing runs on after the pin ends
+  const worker = async () => {
+    while (queue.length && !failed) {
+      const fileUrl = queue.shift();
+      // already cached (e.g. an interrupted download being resumed) -> skip
+      if (!(await cache.match(fileUrl))) {
+        const resp = await fetch(fileUrl, { mode: "cors" });
+        if (!resp.ok || resp.status !== 200) throw new Error("Segment fetch failed (" + resp.status + "): " + fileUrl);
+        await cache.put(fileUrl, resp);
+      }
+      done++;
+      activeDownloads.set(url, { loaded: done, total, unit: "segments" });
+      broadcast({ type: "pin-progress", url, loaded: done, total, unit: "segments" });
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(HLS_DOWNLOAD_CONCURRENCY, total) }, () => worker().catch(err => {
+    failed = true;
+    throw err;
+  })));
+
+  // playlists last, so a half-finished download never looks playable
+  for (const [playlistUrl, text] of playlists) {
+    if (playlistUrl !== url) await cache.put(playlistUrl, playlistResponse(text));
+  }
+  await cache.put(url, playlistResponse(masterText || rootText));
+  return [...playlists.keys()].filter(u => u !== url).concat([...files]);
+}
+
+/* --------------------------
+   Storage report: what CacheStorage and IndexedDB hold, split into buckets
+   core   - SHELL_CACHE (the precached app shell)
+   media  - video/audio/HLS copies in RUNTIME_CACHE
+   api    - JSON kept in the `api` store for offline use
+   pinned - PINNED_CACHE: items saved offline by the member (with everything they pulled in)
+   other  - any other runtime-cached file (scripts, images, ...)
+   precache - the last install's report; `missing` lists shell files that couldn't be cached
+   budgets  - the byte budgets in force for media, other and api (see enforceBudgets)
+-----------------------------*/
+
+// Content-Length when the response has one; otherwise read the body (opaque responses count as 0)
+async function cachedResponseSize(resp) {
+  const length = parseInt(resp.headers.get("content-length"), 10);
+  if (!isNaN(length)) return length;
+  if (resp.type === "opaque") return 0;
+  try { return (await resp.blob()).size; } catch (e) { return 0; }
+}
+
+function isMediaUrl(req, url) {
+  return isVideoRequest(req, url) || isHLSRequest(url) || isAudioRequest(req, url);
+}
+
+async function storageReport() {
+  const bucket = () => ({ bytes: 0, count: 0 });
+  const buckets = { core: bucket(), media: bucket(), api: bucket(), pinned: bucket(), other: bucket() };
+  const pins = (await idbGetAll(PIN_STORE)) || [];
+  const pinOwner = new Map(pins.map(p => [p.url, p.parent || p.url]));
+  const pinBytes = new Map();
+
+  for (const cacheName of [SHELL_CACHE, PINNED_CACHE, RUNTIME_CACHE]) {
+    const cache = await caches.open(cacheName);
+    for (const req of await cache.keys()) {
+      const resp = await cache.match(req);
+      if (!resp) continue;
+      const bytes = await cachedResponseSize(resp);
+      const url = new URL(req.url);
+      let name = "other";
+      if (cacheName === SHELL_CACHE) {
+        name = "core";
+      } else if (cacheName === PINNED_CACHE) {
+        name = "pinned";
+        const owner = pinOwner.get(req.url) || req.url;
+        pinBytes.set(owner, (pinBytes.get(owner) || 0) + bytes);
+      } else if (isMediaUrl(req, url)) {
+        name = "media";
+      }
+      buckets[name].bytes += bytes;
+      buckets[name].count++;
+    }
+  }
+
+  const encoder = new TextEncoder();
+  for (const row of (await idbGetAll(API_STORE)) || []) {
+    buckets.api.bytes += encoder.encode(row.text !== undefined ? row.text : JSON.stringify(row.data)).length;
+    buckets.api.count++;
+  }
+
+  const items = pins
+    .filter(p => !p.parent)
+    .map(p => ({ url: p.url, kind: p.kind || "file", bytes: pinBytes.get(p.url) || 0, timestamp: p.timestamp || 0 }))
+    .sort((a, b) => b.bytes - a.bytes);
+  const precache = await idbGet(META_STORE, "precacheReport").catch(() => null);
+  return { buckets, pins: items, precache: precache ? precache.value : null, budgets: await cacheBudgets() };
+}
+
+// Runtime copies and stored JSON; the shell and pinned items stay, so the app keeps working offline
+async function clearCachedData() {
+  await caches.delete(RUNTIME_CACHE);
+  for (const key of (await idbGetAllKeys(LRU_STORE)) || []) await idbDelete(LRU_STORE, key);
+  for (const key of (await idbGetAllKeys(API_STORE)) || []) await idbDelete(API_STORE, key);
+}
+
+// Remove the pin rows of a pinned item and everything it pulled in. The cached copies are deleted,
+// or handed to RUNTIME_CACHE where normal trimming removes them later.
+async function releasePin(url, { deleteCached }) {
+  const pin = await idbGet(PIN_STORE, url);
+  const urls = [url].concat((pin && pin.resources) || []);
+  const pinnedCache = await caches.open(PINNED_CACHE);
+  const runtime = await caches.open(RUNTIME_CACHE);
+  for (const u of urls) {
+    const resp = deleteCached ? null : await pinnedCache.match(u);
+    if (resp) await runtime.put(u, resp);
+    await pinnedCache.delete(u);
+    await idbDelete(PIN_STORE, u);
+  }
+}
+
+// Copy something already cached (while browsing, or precached) into PINNED_CACHE
+async function adoptCachedCopy(pinnedCache, url) {
+  if (await pinnedCache.match(url)) return true;
+  const runtime = await caches.open(RUNTIME_CACHE);
+  const resp = await runtime.match(url) || await matchPrecache(url);
+  if (!resp) return false;
+  await pinnedCache.put(url, resp);
+  await runtime.delete(url);
+  return true;
+}
+
 self.addEventListener('message', (event) => {
   const msg = event.data || {};
+  if (msg.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+    return;
+  }
   if (!msg || !msg.action) return;
 
+  // answered by both the active and a waiting worker; the page tells them apart by event.source
+  if (msg.action === 'version') {
+    event.source && event.source.postMessage({ type: 'version', version: APP_VERSION, notes: RELEASE_NOTES });
+    return;
+  }
+
+  if (msg.action === 'set-lang' && msg.lang) {
+    event.waitUntil(idbPut(META_STORE, { key: "lang", value: String(msg.lang) }).catch(err => console.warn('Saving language failed', err)));
+    return;
+  }
+
+  if (msg.action === 'list') {
+    event.waitUntil((async () => {
+      try {
+        // segments of a saved playlist are pinned too, but only the playlist is interesting to pages
+        const urls = ((await idbGetAll(PIN_STORE)) || []).filter(p => !p.parent).map(p => p.url);
+        const downloads = [...activeDownloads].map(([url, p]) => ({ url, ...p }));
+        event.source && event.source.postMessage({ type: 'pins', urls, downloads });
+      } catch (err) {
+        console.warn('List pins failed', err);
+      }
+    })());
+    return;
+  }
+
+  if (msg.action === 'data-saver') {
+    event.waitUntil((async () => {
+      try {
+        await idbPut(META_STORE, { key: "dataSaver", value: { active: !!msg.active, deferMedia: !!msg.deferMedia } });
+        if (!msg.deferMedia) await completeDeferredPrecache();
+      } catch (err) {
+        console.warn('Saving Data Saver setting failed', err);
+      }
+    })());
+    return;
+  }
+
+  if (msg.action === 'push-topics' && Array.isArray(msg.topics)) {
+    event.waitUntil(idbPut(META_STORE, { key: "pushTopics", value: msg.topics.map(String) }).catch(err => console.warn('Saving push topics failed', err)));
+    return;
+  }
+
+  // local stand-in for a push service (tools/push-sender.html): same path as a real push event
+  if (msg.action === 'simulate-push' && msg.payload) {
+    event.waitUntil(showPushNotification(msg.payload).catch(err => console.warn('Simulated push failed', err)));
+    return;
+  }
+
+  if (msg.action === 'replay-outbox') {
+    event.waitUntil(replayOutbox().catch(err => console.warn('Outbox replay failed', err)));
+    return;
+  }
+
+  if (msg.action === 'outbox-list') {
+    event.waitUntil((async () => {
+      const rows = (await idbGetAll(OUTBOX_STORE).catch(() => null)) || [];
+      event.source && event.source.postMessage({ type: 'outbox', entries: rows.map(r => ({ id: r.id, status: r.status })) });
+    })());
+    return;
+  }
+
+  if (msg.action === 'take-share') {
+    event.waitUntil((async () => {
+      const saved = await idbGet(META_STORE, SHARED_KEY).catch(() => null);
+      if (saved) await idbDelete(META_STORE, SHARED_KEY).catch(() => {});
+      const fresh = saved && Date.now() - saved.value.received < SHARE_KEEP_MS;
+      event.source && event.source.postMessage({ type: 'shared', share: fresh ? saved.value : null });
+    })());
+    return;
+  }
+
+  if (msg.action === 'storage-report') {
+    event.waitUntil((async () => {
+      try {
+        const report = await storageReport();
+        event.source && event.source.postMessage({ type: 'storage-report', ...report });
+      } catch (err) {
+        console.warn('Storage report failed', err);
+        event.source && event.source.postMessage({ type: 'storage-report', error: String(err && err.message || err) });
+      }
+    })());
+    return;
+  }
+
+  // budgets: { media?, other?, api? } in bytes; null goes back to CACHE_BUDGETS
+  if (msg.action === 'cache-budgets') {
+    event.waitUntil((async () => {
+      try {
+        const budgets = {};
+        for (const name of Object.keys(CACHE_BUDGETS)) {
+          const value = msg.budgets && Number(msg.budgets[name]);
+          if (value > 0) budgets[name] = value;
+        }
+        await idbPut(META_STORE, { key: "cacheBudgets", value: budgets });
+        await enforceBudgets();
+      } catch (err) {
+        console.warn('Saving cache budgets failed', err);
+      }
+    })());
+    return;
+  }
+
+  if (msg.action === 'clear-cache') {
+    event.waitUntil((async () => {
+      try {
+        await clearCachedData();
+        await broadcast({ type: 'cache-cleared' });
+      } catch (err) {
+        console.warn('Clearing cached data failed', err);
+      }
+    })());
+    return;
+  }
+
+  if (msg.action === 'unpin-all') {
+    event.waitUntil((async () => {
+      try {
+        const pins = ((await idbGetAll(PIN_STORE)) || []).filter(p => !p.parent);
+        for (const pin of pins) {
+          await releasePin(pin.url, { deleteCached: true });
+          await broadcast({ type: 'deleted', url: pin.url });
+        }
+      } catch (err) {
+        console.warn('Unpin all failed', err);
+      }
+    })());
+    return;
+  }
+
   if (msg.action === 'pin' && msg.url) {
+    const url = normalizeUrl(msg.url);
+    if (activeDownloads.has(url)) return; // already downloading
+    // claimed before the first await, so a second tap while this one is starting is ignored
+    activeDownloads.set(url, { loaded: 0, total: 0 });
     event.waitUntil((async () => {
       try {
-        const cache = await caches.open(CACHE_NAME);
-        // check if we already have a full cached copy
-        let existing = await cache.match(msg.url) || await cache.match(new Request(msg.url));
-        if (!existing) {
-          // fetch full resource without Range (ensure full 200 when possible)
-          try {
-            const net = await fetch(msg.url, { mode: 'cors' });
-            if (net && net.ok && net.status === 200) {
-              await cache.put(msg.url, net.clone());
-            } else {
-              // if server returns 206 for a normal fetch, we do not cache partial
-              console.warn('Pin fetch returned non-200, skipping cache for', msg.url, net && net.status);
-            }
-          } catch (e) {
-            console.warn('Pin fetch failed', e);
+        const cache = await caches.open(PINNED_CACHE);
+        if (isHLSPlaylistUrl(url)) {
+          const resources = await downloadHLS(cache, url, msg.maxBandwidth);
+          const timestamp = Date.now();
+          for (const r of resources) await idbPut(PIN_STORE, { url: r, pinned: true, parent: url, timestamp });
+          await idbPut(PIN_STORE, { url, pinned: true, kind: "hls", resources, timestamp });
+        } else {
+          // reuse a full copy cached earlier
+          if (!(await adoptCachedCopy(cache, url))) {
+            // fetch full resource without Range (ensure full 200 when possible)
+            await downloadToCache(cache, url);
           }
+          await idbPut(PIN_STORE, { url, pinned: true, timestamp: Date.now() });
         }
-        await idbPut(PIN_STORE, { url: msg.url, pinned: true, timestamp: Date.now() });
-        const pinnedKeys = (await idbGetAllKeys(PIN_STORE)) || [];
-        await trimCache(CACHE_NAME, 200, new Set(pinnedKeys));
+        await broadcast({ type: 'pinned', url });
       } catch (err) {
-        console.warn('Pin failed', err);
+        console.warn('Pin failed', url, err);
+        await broadcast({ type: 'pin-error', url, error: String(err && err.message || err) });
+      } finally {
+        activeDownloads.delete(url);
       }
     })());
     return;
   }
 
   if (msg.action === 'unpin' && msg.url) {
+    const url = normalizeUrl(msg.url);
     event.waitUntil((async () => {
       try {
-        await idbDelete(PIN_STORE, msg.url);
-        // do not immediately delete from cache here; trimming will remove it later unless you want immediate removal
+        await releasePin(url, { deleteCached: false });
+        // the copy moves to the runtime cache; trimming will remove it later unless you want immediate removal
+        await broadcast({ type: 'unpinned', url });
       } catch (err) {
         console.warn('Unpin failed', err);
       }
@@ -221,11 +993,14 @@ self.addEventListener('message', (event) => {
   }
 
   if (msg.action === 'delete' && msg.url) {
+    const url = normalizeUrl(msg.url);
     event.waitUntil((async () => {
       try {
-        const cache = await caches.open(CACHE_NAME);
-        await cache.delete(msg.url);
-        await idbDelete(PIN_STORE, msg.url);
+        await releasePin(url, { deleteCached: true });
+        // not pinned (or pin row already gone): still drop the cached copy
+        const cache = await caches.open(RUNTIME_CACHE);
+        await cache.delete(url);
+        await broadcast({ type: 'deleted', url });
       } catch (err) {
         console.warn('Delete cached resource failed', err);
       }
@@ -236,45 +1011,288 @@ self.addEventListener('message', (event) => {
 
 /* --------------------------
    Helper: serve byte range from a full Response
-   - NOTE: this loads the response into memory via arrayBuffer().
-     For very large files you may want a streaming approach.
+   - single ranges: "bytes=0-499", open-ended "bytes=500-", suffix "bytes=-500"
+   - If-Range that doesn't match the cached validator -> full 200 (RFC 7233 §3.2)
+   - multiple ranges or malformed headers are ignored -> full 200 (allowed by RFC 7233 §3.1)
+   - streams only the requested slice, so memory stays flat however long the recording is
 -----------------------------*/
-async function serveRangeFromFullResponse(fullResponse, request) {
-  // If no range request, return the full cloned response
-  const rangeHeader = request.headers.get('range');
-  if (!rangeHeader) {
-    return fullResponse.clone();
+
+// Returns {start, end} (inclusive), "unsatisfiable", or null when the header should be ignored
+function parseRange(rangeHeader, size) {
+  const m = /^\s*bytes\s*=\s*([^,]+)$/i.exec(rangeHeader || "");
+  if (!m) return null;
+  const r = /^(\d*)\s*-\s*(\d*)$/.exec(m[1].trim());
+  if (!r || (r[1] === "" && r[2] === "")) return null;
+
+  if (r[1] === "") {
+    // suffix range: the last N bytes
+    const suffix = Number(r[2]);
+    if (suffix === 0 || size === 0) return "unsatisfiable";
+    return { start: Math.max(0, size - suffix), end: size - 1 };
   }
 
-  // parse the range header "bytes=start-end"
-  const matches = /bytes=(\d+)-(\d+)?/.exec(rangeHeader);
-  if (!matches) {
-    return new Response(null, { status: 416 });
+  const start = Number(r[1]);
+  if (r[2] !== "" && Number(r[2]) < start) return null; // invalid spec -> ignore the header
+  if (start >= size) return "unsatisfiable";
+  const last = r[2] === "" ? size - 1 : Number(r[2]);
+  return { start, end: Math.min(last, size - 1) };
+}
+
+// If-Range needs a strong ETag match or an exact Last-Modified date
+function ifRangeMatches(ifRange, response) {
+  if (!ifRange) return true;
+  const value = ifRange.trim();
+  if (/^(W\/)?"/.test(value)) {
+    const etag = response.headers.get("ETag");
+    return !!etag && !value.startsWith("W/") && !etag.startsWith("W/") && etag === value;
   }
+  const lastModified = response.headers.get("Last-Modified");
+  return !!lastModified && Date.parse(lastModified) === Date.parse(value);
+}
 
-  const start = Number(matches[1]);
-  const end = matches[2] ? Number(matches[2]) : undefined;
+// Pass through bytes [start, end] of `body`; earlier chunks are read and dropped, later ones never read
+function sliceStream(body, start, end) {
+  const reader = body.getReader();
+  let offset = 0; // position of the next chunk within the full body
+  return new ReadableStream({
+    async pull(controller) {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) { controller.close(); return; }
+        const chunkStart = offset;
+        offset += value.byteLength;
+        if (offset <= start) continue;
+        controller.enqueue(value.subarray(Math.max(0, start - chunkStart), Math.min(value.byteLength, end + 1 - chunkStart)));
+        if (offset > end) {
+          controller.close();
+          reader.cancel().catch(() => {});
+        }
+        return;
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+}
+
+async function serveRangeFromFullResponse(fullResponse, request) {
+  // If no range request (or the cached copy isn't a readable full 200), return the full cloned response
+  const rangeHeader = request.headers.get("range");
+  if (!rangeHeader || fullResponse.status !== 200 || !fullResponse.body) {
+    return fullResponse.clone();
+  }
+  if (!ifRangeMatches(request.headers.get("if-range"), fullResponse)) {
+    return fullResponse.clone();
+  }
 
-  // pull bytes from full response (arrayBuffer)
-  const buf = await fullResponse.clone().arrayBuffer();
-  const size = buf.byteLength;
-  const realEnd = (typeof end === 'number' && end < size) ? end : size - 1;
+  // size comes from Content-Length; without it fall back to a Blob (disk-backed for cached bodies)
+  let size = Number(fullResponse.headers.get("Content-Length"));
+  let blob = null;
+  if (!fullResponse.headers.has("Content-Length") || !Number.isFinite(size)) {
+    blob = await fullResponse.clone().blob();
+    size = blob.size;
+  }
 
-  if (start >= size || start > realEnd) {
+  const range = parseRange(rangeHeader, size);
+  if (range === null) return fullResponse.clone();
+  if (range === "unsatisfiable") {
     return new Response(null, {
       status: 416,
-      headers: { 'Content-Range': `bytes */${size}` }
+      statusText: "Range Not Satisfiable",
+      headers: { "Content-Range": `bytes */${size}`, "Accept-Ranges": "bytes" }
     });
   }
 
-  const chunk = buf.slice(start, realEnd + 1);
+  const { start, end } = range;
   const headers = new Headers();
-  headers.set('Content-Range', `bytes ${start}-${realEnd}/${size}`);
-  headers.set('Accept-Ranges', 'bytes');
-  headers.set('Content-Length', String(chunk.byteLength));
-  headers.set('Content-Type', fullResponse.headers.get('Content-Type') || 'video/mp4');
+  headers.set("Content-Range", `bytes ${start}-${end}/${size}`);
+  headers.set("Accept-Ranges", "bytes");
+  headers.set("Content-Length", String(end - start + 1));
+  headers.set("Content-Type", fullResponse.headers.get("Content-Type") || "video/mp4");
+  ["ETag", "Last-Modified", "Cache-Control"].forEach(h => {
+    const v = fullResponse.headers.get(h);
+    if (v) headers.set(h, v);
+  });
 
-  return new Response(chunk, { status: 206, headers });
+  const body = blob ? blob.slice(start, end + 1) : sliceStream(fullResponse.clone().body, start, end);
+  return new Response(body, { status: 206, statusText: "Partial Content", headers });
+}
+
+/* --------------------------
+   Outbox: Connect form submissions (POST ./api/connect)
+   - online: passed straight through
+   - offline or 5xx: stored in the `outbox` store, answered with 202 {queued:true, id},
+     and replayed by Background Sync ("connect-outbox") or the next {action:'replay-outbox'}
+   - every attempt carries the same Idempotency-Key, so a retry after a lost response
+     can't create a second submission; 409 means the server already has it
+   Outcomes are broadcast: {type:'outbox-sent', id}, {type:'outbox-failed', id, status}
+-----------------------------*/
+const OUTBOX_SYNC_TAG = "connect-outbox";
+const OUTBOX_KEEP_MS = 30 * 24 * 60 * 60 * 1000; // finished rows are kept a while so pages can catch up
+let outboxReplay = null;
+
+function isOutboxRequest(req, url) {
+  return req.method === "POST" && url.origin === self.location.origin && url.pathname.endsWith("/api/connect");
+}
+
+async function registerOutboxSync() {
+  try {
+    if (self.registration.sync) await self.registration.sync.register(OUTBOX_SYNC_TAG);
+  } catch (e) { /* no Background Sync: the page asks for a replay when it opens or comes online */ }
+}
+
+async function handleOutboxPost(req) {
+  const body = await req.clone().text();
+  const contentType = req.headers.get("content-type") || "application/json";
+  const id = req.headers.get("idempotency-key") || self.crypto.randomUUID();
+  try {
+    const resp = await fetch(req);
+    if (resp.status < 500) return resp;
+  } catch (err) { /* offline: queue below */ }
+  await idbPut(OUTBOX_STORE, { id, url: req.url, body, contentType, status: "pending", attempts: 0, created: Date.now() });
+  await registerOutboxSync();
+  return new Response(JSON.stringify({ queued: true, id }), {
+    status: 202,
+    headers: { "Content-Type": "application/json" }
+  });
+}
+
+async function sendOutboxEntry(entry) {
+  const resp = await fetch(entry.url, {
+    method: "POST",
+    headers: { "Content-Type": entry.contentType, "Idempotency-Key": entry.id },
+    body: entry.body
+  });
+  if (resp.ok || resp.status === 409) return "sent";
+  if (resp.status >= 500 || resp.status === 408 || resp.status === 429) return "retry";
+  return "failed:" + resp.status;
+}
+
+// One replay at a time; resolves true when nothing is left pending
+function replayOutbox() {
+  if (outboxReplay) return outboxReplay;
+  outboxReplay = (async () => {
+    const rows = ((await idbGetAll(OUTBOX_STORE)) || []).sort((a, b) => a.created - b.created);
+    let pending = false;
+    for (const entry of rows) {
+      if (entry.status !== "pending") {
+        if (Date.now() - (entry.finished || entry.created) > OUTBOX_KEEP_MS) await idbDelete(OUTBOX_STORE, entry.id);
+        continue;
+      }
+      let result;
+      try {
+        result = await sendOutboxEntry(entry);
+      } catch (err) {
+        pending = true; // still offline; the rest would fail the same way
+        break;
+      }
+      if (result === "retry") {
+        await idbPut(OUTBOX_STORE, { ...entry, attempts: entry.attempts + 1 });
+        pending = true;
+        continue;
+      }
+      const failed = result !== "sent";
+      await idbPut(OUTBOX_STORE, { ...entry, body: "", status: failed ? "failed" : "sent", attempts: entry.attempts + 1, finished: Date.now() });
+      await broadcast(failed
+        ? { type: "outbox-failed", id: entry.id, status: parseInt(result.split(":")[1], 10) }
+        : { type: "outbox-sent", id: entry.id });
+    }
+    return !pending;
+  })().finally(() => { outboxReplay = null; });
+  return outboxReplay;
+}
+
+self.addEventListener("sync", event => {
+  if (event.tag !== OUTBOX_SYNC_TAG) return;
+  // rejecting tells the browser to try again later (with backoff)
+  event.waitUntil(replayOutbox().then(done => {
+    if (!done) throw new Error("Outbox still has pending submissions");
+  }));
+});
+
+/* --------------------------
+   Push notifications
+   Payload (JSON): { topic: "services"|"notices"|"biblestudy", title, body, route: "#/notices",
+                     tag?, image?, requireInteraction? }
+   title/body may be per-language objects ({ "en": "...", "sw": "..." }) like the feeds.
+   The server only sends topics a subscription asked for; the topic list the page mirrors into
+   META_STORE ("pushTopics") is a second check, and the only one for the local test sender.
+-----------------------------*/
+const PUSH_ICON = "./maskable_icon_x192.png";
+
+function localizedText(value, lang) {
+  if (!value || typeof value !== "object") return value || "";
+  return value[lang] || value[DEFAULT_LANG] || Object.values(value)[0] || "";
+}
+
+async function showPushNotification(payload) {
+  const topics = await idbGet(META_STORE, "pushTopics").catch(() => null);
+  if (topics && Array.isArray(topics.value) && payload.topic && !topics.value.includes(payload.topic)) return;
+  const meta = await idbGet(META_STORE, "lang").catch(() => null);
+  const lang = (meta && meta.value) || DEFAULT_LANG;
+  const title = localizedText(payload.title, lang);
+  if (!title) return;
+  await self.registration.showNotification(title, {
+    body: localizedText(payload.body, lang),
+    icon: PUSH_ICON,
+    badge: PUSH_ICON,
+    image: payload.image,
+    lang,
+    tag: payload.tag || payload.topic || undefined,
+    renotify: !!payload.tag,
+    requireInteraction: !!payload.requireInteraction,
+    data: { route: typeof payload.route === "string" ? payload.route : "" }
+  });
+}
+
+self.addEventListener("push", event => {
+  let payload = {};
+  if (event.data) {
+    try { payload = event.data.json(); } catch (e) { payload = { title: event.data.text() }; }
+  }
+  event.waitUntil(showPushNotification(payload).catch(err => console.warn("Push notification failed", err)));
+});
+
+// Focus an open window and let its router switch section, or open the app at the route
+self.addEventListener("notificationclick", event => {
+  event.notification.close();
+  const route = (event.notification.data && event.notification.data.route) || "";
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const client = windows.find(c => c.url.startsWith(self.registration.scope));
+    if (client) {
+      if (route) client.postMessage({ type: "open-route", route });
+      return client.focus();
+    }
+    return self.clients.openWindow(new URL("./" + route, self.registration.scope).href);
+  })());
+});
+
+/* --------------------------
+   Share target (manifest.json "share_target": POST ./share-target, form-encoded title/text/url)
+   Text or a link shared into the installed app is kept in META_STORE ("sharedDraft") and the app
+   opens at #/connect/shared, which asks for it with {action:'take-share'} and starts a prayer
+   request or testimony with it. It's handed out once; an untaken share goes stale after a day.
+-----------------------------*/
+const SHARED_KEY = "sharedDraft";
+const SHARE_MAX_LENGTH = 4000; // the Connect form's message limit
+const SHARE_KEEP_MS = 24 * 60 * 60 * 1000;
+
+function isShareTargetRequest(req, url) {
+  return req.method === "POST" && url.origin === self.location.origin && url.pathname.endsWith("/share-target");
+}
+
+async function handleShareTarget(req) {
+  try {
+    const form = await req.formData();
+    const field = name => String(form.get(name) || "").trim().slice(0, SHARE_MAX_LENGTH);
+    await idbPut(META_STORE, { key: SHARED_KEY, value: { title: field("title"), text: field("text"), url: field("url"), received: Date.now() } });
+  } catch (err) {
+    console.warn("Keeping the shared text failed", err); // the page still opens, with an empty form
+  }
+  // 303: the browser follows with a GET, so reloading the page doesn't post the share again
+  return Response.redirect(new URL("./#/connect/shared", self.registration.scope).href, 303);
 }
 
 /* --------------------------
@@ -282,46 +1300,71 @@ async function serveRangeFromFullResponse(fullResponse, request) {
 -----------------------------*/
 self.addEventListener("fetch", event => {
   const req = event.request;
+  if (isOutboxRequest(req, new URL(req.url))) {
+    event.respondWith(handleOutboxPost(req));
+    return;
+  }
+  if (isShareTargetRequest(req, new URL(req.url))) {
+    event.respondWith(handleShareTarget(req));
+    return;
+  }
   if (req.method !== "GET") return;
 
   event.respondWith((async () => {
     const url = new URL(req.url);
 
-    // 1) Navigation -> network-first, fallback to cached index
+    // 1) Navigation -> network-first, fallback to cached index.
+    //    Routes live in the hash (#/notices, #/biblestudy/john/3), so every deep link is the same
+    //    document; query strings (?preview=1, share targets) are ignored when matching the cache.
     if (req.mode === "navigate" || req.destination === "document") {
+      //    The offline copy is the precached shell of this version (updated with the worker).
       try {
-        const netResp = await fetch(req);
-        // update cache copy for navigation requests (cache the index)
-        const cache = await caches.open(CACHE_NAME);
-        cache.put(req, netResp.clone()).catch(() => {});
-        return netResp;
+        return await fetch(req);
       } catch (err) {
-        const cache = await caches.open(CACHE_NAME);
-        const cachedIndex = await cache.match("./index.html") || await cache.match("./");
+        const cachedIndex = (isAppShellUrl(url) && await matchPrecache(req.url))
+          || await matchPrecache("./index.html")
+          || await matchPrecache("./");
         if (cachedIndex) return cachedIndex;
-        return new Response("<!doctype html><meta charset='utf-8'><title>Offline</title><body><h1>Offline</h1><p>Please check your connection.</p></body>", {
-          headers: { "Content-Type": "text/html" }
-        });
+        return offlinePage();
+      }
+    }
+
+    // 2) HLS playlists/segments -> saved (pinned) copies from cache, everything else from network.
+    //    Streamed segments aren't cached and playlists aren't cache-first: live playlists change constantly.
+    if (isHLSRequest(url)) {
+      const cache = await caches.open(PINNED_CACHE);
+      try {
+        const pin = await idbGet(PIN_STORE, req.url);
+        const cached = pin && await cache.match(req.url);
+        if (cached) return serveRangeFromFullResponse(cached, req);
+      } catch (e) { /* fall through to network */ }
+      try {
+        return await fetch(req);
+      } catch (e) {
+        const cachedAgain = await matchAnyCache(req.url);
+        if (cachedAgain) return serveRangeFromFullResponse(cachedAgain, req);
+        return new Response("", { status: 503 });
       }
     }
 
-    // 2) Video requests -> Range-aware, cache-first; network fallback; mark as pinned in IDB when appropriate
-    if (isVideoRequest(req, url)) {
-      const cache = await caches.open(CACHE_NAME);
+    // 3) Video and audio files -> Range-aware, cache-first; network fallback
+    if (isVideoRequest(req, url) || isAudioRequest(req, url)) {
+      const cache = await caches.open(RUNTIME_CACHE);
 
-      // Try to find a cached full response (lookup both Request and url)
-      let cached = await cache.match(req) || await cache.match(req.url);
+      // Try to find a cached full response: saved, precached or cached while browsing
+      let cached = await matchAnyCache(req.url);
 
       if (cached) {
         // Serve requested range or full from cached full copy
-        // Start a background refresh to update the cached copy if online
-        event.waitUntil((async () => {
+        // Start a background refresh of runtime copies if online (saved and precached copies are left alone)
+        const runtimeCopy = await cache.match(req.url);
+        if (runtimeCopy) event.waitUntil(touchRuntime(req.url));
+        if (runtimeCopy && !(await idbGet(PIN_STORE, req.url).catch(() => null)) && !(await mediaDeferred(req))) event.waitUntil((async () => {
           try {
             // Fetch without special headers to get full resource (server may return 200)
             const net = await fetch(req);
             if (net && net.ok && net.status === 200) {
-              await cache.put(req.url, net.clone());
-              await idbPut(PIN_STORE, { url: req.url, pinned: true, timestamp: Date.now() });
+              await putRuntime(req.url, net.clone());
             }
           } catch (e) { /* ignore background update errors */ }
         })());
@@ -341,14 +1384,11 @@ self.addEventListener("fetch", event => {
 
         if (netResp && netResp.ok && netResp.status === 200) {
           // We got a full response from network.
-          // Cache it, mark pinned, then if client requested a range, serve a 206 slice.
+          // Cache it (pins are only recorded when the member saves it), then serve a 206 slice if asked.
           event.waitUntil((async () => {
             try {
-              await cache.put(req.url, netResp.clone());
-              await idbPut(PIN_STORE, { url: req.url, pinned: true, timestamp: Date.now() });
-              const pinnedKeys = (await idbGetAllKeys(PIN_STORE)) || [];
-              const exclude = new Set(pinnedKeys);
-              await trimCache(CACHE_NAME, 200, exclude);
+              await putRuntime(req.url, netResp.clone());
+              scheduleBudgetCheck(event);
             } catch (e) { /* ignore */ }
           })());
 
@@ -362,7 +1402,7 @@ self.addEventListener("fetch", event => {
         // other network status: try to serve cache (unlikely at this point), otherwise fail
       } catch (e) {
         // network failed -> try to serve from cache if any (in case of race)
-        const cachedAgain = await cache.match(req) || await cache.match(req.url);
+        const cachedAgain = await matchAnyCache(req.url);
         if (cachedAgain) return serveRangeFromFullResponse(cachedAgain, req);
         return new Response("", { status: 503 });
       }
@@ -371,46 +1411,27 @@ self.addEventListener("fetch", event => {
       return new Response("", { status: 503 });
     }
 
-    // 3) Static assets -> cache-first with background update (scripts/styles/images)
-    if (isStaticAsset(req) || url.origin === location.origin) {
-      const cache = await caches.open(CACHE_NAME);
-      const cached = await cache.match(req);
-      const networkFetch = fetch(req).then(async response => {
-        if (response && response.ok) {
-          try { await cache.put(req, response.clone()); } catch (e) { /* ignore */ }
-        }
-        return response;
-      }).catch(() => null);
-
-      if (cached) {
-        event.waitUntil(networkFetch); // update in background
-        return cached;
-      }
-
-      const netResp = await networkFetch;
-      if (netResp) return netResp;
-
-      // fallback to runtime (if any)
-      const runtimeCache = await caches.open(CACHE_NAME);
-      const runtimeCached = await runtimeCache.match(req);
-      if (runtimeCached) return runtimeCached;
-
-      if (req.destination === "image") return new Response(null, { status: 503 }); // optional blank
-      return new Response("", { status: 503 });
-    }
-
-    // 4) API / dynamic JSON -> network-first; store JSON in IndexedDB for offline
-    if (isAPIRequest(req, url)) {
+    // 4) API / dynamic JSON and RSS/Atom feeds -> network-first; store them in IndexedDB for offline
+    //    (checked before static assets so same-origin .json feeds land in IndexedDB too)
+    const feed = isFeedRequest(req, url);
+    if (feed || isAPIRequest(req, url)) {
       try {
         const networkResponse = await fetch(req);
         if (networkResponse && networkResponse.ok) {
           try {
-            const cloned = networkResponse.clone();
-            const data = await cloned.json().catch(() => null);
+            const text = await networkResponse.clone().text();
+            let data = null;
+            try { data = JSON.parse(text); } catch (e) { /* not JSON after all */ }
+            const timestamp = Date.now();
+            const bytes = new TextEncoder().encode(text).length;
             if (data !== null) {
-              // store JSON result keyed by url
-              await idbPut(API_STORE, { url: req.url, data, timestamp: Date.now() });
-              event.waitUntil(trimIDBStore(API_STORE, 100)); // cap number of stored API entries
+              // store JSON result keyed by url, with its size for the byte budget
+              await idbPut(API_STORE, { url: req.url, data, timestamp, lastAccess: timestamp, bytes });
+              scheduleBudgetCheck(event);
+            } else if (feed) {
+              const contentType = networkResponse.headers.get("content-type") || "application/xml";
+              await idbPut(API_STORE, { url: req.url, text, contentType, timestamp, lastAccess: timestamp, bytes });
+              scheduleBudgetCheck(event);
             }
           } catch (e) { /* ignore save errors */ }
         }
@@ -419,31 +1440,72 @@ self.addEventListener("fetch", event => {
         // offline -> return cached JSON from IDB
         try {
           const cachedObj = await idbGet(API_STORE, req.url);
+          if (cachedObj && cachedObj.text !== undefined) {
+            event.waitUntil(touchApi(cachedObj));
+            return new Response(cachedObj.text, {
+              headers: { "Content-Type": cachedObj.contentType, [CACHE_TIMESTAMP_HEADER]: String(cachedObj.timestamp || 0) }
+            });
+          }
           if (cachedObj && cachedObj.data !== undefined) {
+            event.waitUntil(touchApi(cachedObj));
             return new Response(JSON.stringify(cachedObj.data), {
-              headers: { "Content-Type": "application/json" }
+              headers: { "Content-Type": "application/json", [CACHE_TIMESTAMP_HEADER]: String(cachedObj.timestamp || 0) }
             });
           }
         } catch (e) { /* ignore */ }
 
-        // fallback to static cache if present
-        const staticCache = await caches.open(CACHE_NAME);
-        const staticCached = await staticCache.match(req);
-        if (staticCached) return staticCached;
+        // fallback to a cached file if present (precached feeds, saved Bible books)
+        const staticCached = await matchAnyCache(req);
+        if (staticCached) return withCacheTimestamp(staticCached, await cachedCopyTimestamp(req.url, staticCached));
 
         return new Response("", { status: 503 });
       }
     }
 
-    // 5) Other requests: try network, cache copy if OK, fallback to cache
+    // 5) Static assets -> the precached revision when this version has one (it only changes
+    //    with an update), otherwise cache-first with background update (scripts/styles/images)
+    if (url.origin === location.origin && precachedKeyFor(req.url)) {
+      const precached = await matchPrecache(req.url);
+      if (precached) return precached;
+    }
+    if (isStaticAsset(req) || url.origin === location.origin) {
+      const cache = await caches.open(RUNTIME_CACHE);
+      const cached = await cache.match(req);
+      const networkFetch = fetch(req).then(async response => {
+        if (response && response.ok) {
+          try {
+            await putRuntime(req, response.clone());
+            scheduleBudgetCheck(event);
+          } catch (e) { /* ignore */ }
+        }
+        return response;
+      }).catch(() => null);
+
+      if (cached) {
+        event.waitUntil(networkFetch); // update in background
+        event.waitUntil(touchRuntime(req.url));
+        return cached;
+      }
+
+      const netResp = await networkFetch;
+      if (netResp) return netResp;
+
+      // fallback to a saved copy (if any)
+      const savedCopy = await matchAnyCache(req);
+      if (savedCopy) return savedCopy;
+
+      if (req.destination === "image") return new Response(null, { status: 503 }); // optional blank
+      return new Response("", { status: 503 });
+    }
+
+    // 6) Other requests: try network, cache copy if OK, fallback to cache
     try {
       const networkResponse = await fetch(req);
       // optionally store some dynamic assets into runtime cache (if desired)
       return networkResponse;
     } catch (err) {
       // network failed: try cache
-      const staticCache = await caches.open(CACHE_NAME);
-      const staticCached = await staticCache.match(req);
+      const staticCached = await matchAnyCache(req);
       if (staticCached) return staticCached;
       return new Response("", { status: 503 });
     }
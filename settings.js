@@ -0,0 +1,229 @@
+// settings.js — the one versioned store for preferences, bookmarks and reading progress
+// Everything lives under a single localStorage key as { version, values }. When the shape of a value
+// changes, bump VERSION and append a migration; older stores (and older export files) are carried
+// forward one step at a time, and the store as it was before migrating is kept in BACKUP_KEY.
+(() => {
+  const STORAGE_KEY = "settings";
+  const BACKUP_KEY = "settings.backup";
+  const EXPORT_TYPE = "church-app-settings";
+  const VERSION = 1;
+  // The Settings preview runs the app in an iframe (?preview=1): it reads the saved store, writes nothing
+  const PREVIEW = new URLSearchParams(location.search).has("preview");
+
+  // Keys that describe this device rather than the member: install prompt, update notes, push
+  // subscription, the connect outbox (its requests are tied to this device's queue), the open
+  // section and notices already dismissed. They stay out of exports and are never overwritten by imports.
+  const DEVICE_PREFIXES = ["install.", "update.", "push.", "connect."];
+  const DEVICE_KEYS = ["ui.activeNav", "ui.noticesSeen"];
+
+  // Version 0 is the scattered keys used before this store existed: name -> how the value was written
+  const LEGACY_KEYS = {
+    "ui.font": "text",
+    "ui.theme": "text",
+    "ui.textScale": "number",
+    "ui.lang": "text",
+    "ui.activeNav": "text",
+    "ui.dataSaver": "text",
+    "ui.captions": "text",
+    "ui.noticesSeen": "json",
+    "media.positions": "json",
+    "media.rate": "number",
+    "podcast.queue": "json",
+    "podcast.played": "json",
+    "connect.submissions": "json",
+    "bible.position": "json",
+    "bible.plan": "json",
+    "bible.bookmarks": "json",
+    "bible.highlights": "json",
+    "update.lastVersion": "text",
+    "push.prefs": "json"
+  };
+  const LEGACY_RENAMES = { "pwa_install_prompt_v1": "install.prompt" };
+
+  // MIGRATIONS[n] turns the values of a version n store into version n + 1. Keys a migration
+  // doesn't know about are passed through untouched.
+  const MIGRATIONS = [
+    // 0 -> 1: raw localStorage strings become typed values; the install state gets a namespaced key
+    values => {
+      const result = {};
+      Object.keys(values).forEach(key => {
+        const raw = values[key];
+        const name = LEGACY_RENAMES[key] || key;
+        const kind = LEGACY_RENAMES[key] ? "json" : LEGACY_KEYS[key];
+        if (raw === null || raw === undefined) return;
+        if (kind === "number") {
+          const n = Number(raw);
+          if (Number.isFinite(n) && raw !== "") result[name] = n;
+        } else if (kind === "json") {
+          try {
+            const parsed = JSON.parse(raw);
+            if (parsed !== null) result[name] = parsed;
+          } catch (e) {
+            console.warn("Dropping unreadable setting", key);
+          }
+        } else {
+          result[name] = raw;
+        }
+      });
+      return result;
+    }
+  ];
+
+  let store = { version: VERSION, values: {} };
+  const listeners = new Set();
+
+  function isPlainObject(value) {
+    return !!value && typeof value === "object" && !Array.isArray(value);
+  }
+
+  function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  function migrate(version, values) {
+    let result = values;
+    for (let v = version; v < VERSION; v++) result = MIGRATIONS[v](result);
+    return result;
+  }
+
+  function readLegacy() {
+    const values = {};
+    Object.keys(LEGACY_KEYS).concat(Object.keys(LEGACY_RENAMES)).forEach(key => {
+      const raw = localStorage.getItem(key);
+      if (raw !== null) values[key] = raw;
+    });
+    return values;
+  }
+
+  function persist(next) {
+    if (PREVIEW) return true;
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+      return true;
+    } catch (e) {
+      console.warn("Could not save settings", e);
+      return false;
+    }
+  }
+
+  function load() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (e) {
+      console.warn("Settings store is unreadable; starting from the legacy keys", e);
+    }
+    try {
+      if (!isPlainObject(saved) || !isPlainObject(saved.values)) saved = { version: 0, values: readLegacy() };
+    } catch (e) {
+      return; // storage blocked (private mode): run on defaults
+    }
+    const version = Number(saved.version) || 0;
+    if (version >= VERSION) {
+      // a store written by a newer app keeps its version; unknown values are carried as they are
+      store = { version, values: saved.values };
+      return;
+    }
+    store = { version: VERSION, values: migrate(version, saved.values) };
+    if (PREVIEW) return;
+    try {
+      localStorage.setItem(BACKUP_KEY, JSON.stringify(saved));
+    } catch (e) { /* quota: the migration itself matters more than the backup */ }
+    if (!persist(store)) return;
+    // only drop the old keys once the new store is safely written
+    if (version === 0) Object.keys(saved.values).forEach(key => localStorage.removeItem(key));
+  }
+
+  function notify(keys) {
+    listeners.forEach(fn => {
+      try { fn(keys); } catch (e) { console.error(e); }
+    });
+  }
+
+  // Returns a copy, so callers can change what they read and write it back with set()
+  function get(key, fallback) {
+    const value = store.values[key];
+    return value === undefined ? fallback : clone(value);
+  }
+
+  // undefined removes the key; returns false when storage refused the write
+  function set(key, value) {
+    const values = Object.assign({}, store.values);
+    if (value === undefined) delete values[key];
+    else values[key] = clone(value);
+    const next = { version: store.version, values };
+    if (!persist(next)) return false;
+    store = next;
+    notify([key]);
+    return true;
+  }
+
+  function remove(key) {
+    return set(key, undefined);
+  }
+
+  function keys() {
+    return Object.keys(store.values);
+  }
+
+  function isDeviceKey(key) {
+    return DEVICE_KEYS.includes(key) || DEVICE_PREFIXES.some(prefix => key.startsWith(prefix));
+  }
+
+  function exportData() {
+    const values = {};
+    Object.keys(store.values).forEach(key => {
+      if (!isDeviceKey(key)) values[key] = clone(store.values[key]);
+    });
+    return { type: EXPORT_TYPE, version: store.version, exported: new Date().toISOString(), values };
+  }
+
+  function importError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  }
+
+  // Throws with err.code "invalid" for anything that isn't an export, "newer" for a newer schema
+  function validateExport(data) {
+    if (!isPlainObject(data) || data.type !== EXPORT_TYPE || !isPlainObject(data.values)) {
+      throw importError("invalid", "Not a settings export");
+    }
+    const version = Number(data.version);
+    if (!Number.isInteger(version) || version < 1) throw importError("invalid", "Unknown settings version");
+    if (version > VERSION) throw importError("newer", "Settings were exported by a newer version of the app");
+    return version;
+  }
+
+  // Merges an export into this device's store (the file's values win) and returns the keys taken.
+  // Throws like validateExport, or with err.code "storage" when the result can't be saved.
+  function importData(data) {
+    const incoming = migrate(validateExport(data), clone(data.values));
+    const taken = Object.keys(incoming).filter(key => !isDeviceKey(key));
+    const values = Object.assign({}, store.values);
+    taken.forEach(key => { values[key] = incoming[key]; });
+    const next = { version: store.version, values };
+    if (!persist(next)) throw importError("storage", "Could not save the imported settings");
+    store = next;
+    notify(taken);
+    return taken;
+  }
+
+  // fn(keys) after this page or another tab changes the store
+  function onChange(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  window.addEventListener("storage", e => {
+    if (e.key !== STORAGE_KEY) return;
+    const before = store.values;
+    load();
+    const changed = new Set(Object.keys(before).concat(Object.keys(store.values)));
+    notify([...changed].filter(key => JSON.stringify(before[key]) !== JSON.stringify(store.values[key])));
+  });
+
+  load();
+
+  window.settings = { VERSION, preview: PREVIEW, get, set, remove, keys, exportData, validateExport, importData, onChange };
+})();
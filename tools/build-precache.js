@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/* Writes precache-manifest.js: the files service-worker.js keeps as the offline app shell,
+   each with a content hash ("revision"). A new worker only downloads entries whose revision
+   changed, so run this before every deploy:
+
+     node tools/build-precache.js
+
+   A file listed below that doesn't exist is an error (exit code 1), never skipped silently.
+*/
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+const OUTPUT = path.join(ROOT, "precache-manifest.js");
+
+// url as the page requests it -> file on disk (defaults to the url)
+const PRECACHE_FILES = [
+  { url: "./", file: "index.html" },
+  "./index.html",
+  "./style.css",
+  "./app.js",
+  "./settings.js",
+  "./i18n.js",
+  "./qr.js",
+  "./vendor/hls.js/hls.min.js",
+  "./i18n/languages.json",
+  "./i18n/en.json",
+  "./i18n/sw.json",
+  "./manifest.json",
+  "./maskable_icon_x192.png",
+  "./maskable_icon_x512.png",
+  "./church-service.jpg",
+  "./data/notices.json",
+  "./data/sermons.json",
+  "./data/schedule.json",
+  "./data/home.json",
+  "./data/podcast.xml",
+  "./data/bible/books.json",
+  "./data/bible/translations.json",
+  "./data/bible/plans.json",
+  "./first-video.mp4"
+];
+
+// Caption files (captions/*.vtt, the `tracks` of home.json and sermons.json) are small and are
+// precached as they are added, so subtitles show offline too
+const CAPTIONS_DIR = "captions";
+
+function captionFiles() {
+  const dir = path.join(ROOT, CAPTIONS_DIR);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(name => name.endsWith(".vtt")).sort().map(name => `./${CAPTIONS_DIR}/${name}`);
+}
+
+// Same digest the worker checks after downloading (first 16 hex chars of SHA-256)
+function revisionOf(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex").slice(0, 16);
+}
+
+function build() {
+  const entries = [];
+  const missing = [];
+  for (const item of PRECACHE_FILES.concat(captionFiles())) {
+    const { url, file } = typeof item === "string" ? { url: item, file: item } : item;
+    const filePath = path.join(ROOT, file);
+    if (!fs.existsSync(filePath)) {
+      missing.push(file);
+      continue;
+    }
+    const buffer = fs.readFileSync(filePath);
+    entries.push({ url, revision: revisionOf(buffer), size: buffer.length });
+  }
+  if (missing.length) {
+    console.error("Missing precache files:\n  " + missing.join("\n  "));
+    process.exitCode = 1;
+    return;
+  }
+
+  const body = [
+    "// Generated by tools/build-precache.js; do not edit by hand.",
+    "self.__PRECACHE_MANIFEST = " + JSON.stringify(entries, null, 2) + ";",
+    ""
+  ].join("\n");
+  fs.writeFileSync(OUTPUT, body);
+  const total = entries.reduce((sum, e) => sum + e.size, 0);
+  console.log(`Wrote ${path.relative(ROOT, OUTPUT)}: ${entries.length} files, ${total} bytes`);
+}
+
+build();
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/* Adds a Bible translation to data/bible from a verse-per-line text file, the "VPL" format
+   eBible.org publishes for its public-domain and openly licensed translations:
+
+     GEN 1:1 Hapo mwanzo Mungu aliziumba mbingu na nchi.
+
+   Usage:
+
+     node tools/import-bible.js <file> --id suv --lang sw --name "Swahili Union Version (1952)" \
+       --license "Public domain" --source https://ebible.org/...
+
+   Writes data/bible/<id>/<BOOK>.json in the reader's format ({ translation, book, chapters }) and
+   adds or replaces the translation in data/bible/translations.json. Book ids are the ones in
+   books.json; a book missing from the file is an error (exit code 1), since the reader offers
+   every book. Verses the file numbers differently from books.json (another versification) are
+   listed as warnings. Run tools/build-precache.js afterwards (translations.json is precached).
+*/
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+const BIBLE_DIR = path.join(ROOT, "data", "bible");
+const LINE = /^([1-3A-Z][A-Z0-9]{2})\s+(\d+):(\d+)\s+(.*)$/;
+
+function parseArgs(argv) {
+  const args = { file: null };
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--(\w+)$/.exec(argv[i]);
+    if (m) args[m[1]] = argv[++i];
+    else args.file = argv[i];
+  }
+  return args;
+}
+
+function readVerses(file, bookIds) {
+  const books = new Map();
+  fs.readFileSync(file, "utf8").split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.replace(/^\uFEFF/, "").trim();
+    if (!line) return;
+    const m = LINE.exec(line);
+    if (!m) throw new Error(`Line ${i + 1} is not "BOOK chapter:verse text": ${line.slice(0, 60)}`);
+    const [, bookId, chapter, verse, text] = m;
+    if (!bookIds.has(bookId)) return; // deuterocanonical books and the like: not in the reader
+    if (!books.has(bookId)) books.set(bookId, []);
+    const chapters = books.get(bookId);
+    const verses = chapters[chapter - 1] || (chapters[chapter - 1] = []);
+    verses[verse - 1] = text.trim();
+  });
+  return books;
+}
+
+function run() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file || !args.id || !args.lang || !args.name) {
+    console.error("Usage: node tools/import-bible.js <file> --id <id> --lang <lang> --name <name> [--license <text>] [--source <url>]");
+    process.exitCode = 1;
+    return;
+  }
+  const index = JSON.parse(fs.readFileSync(path.join(BIBLE_DIR, "books.json"), "utf8")).books;
+  const books = readVerses(args.file, new Set(index.map(b => b.id)));
+  const missing = index.filter(b => !books.has(b.id)).map(b => b.id);
+  if (missing.length) {
+    console.error("Books missing from " + args.file + ":\n  " + missing.join(" "));
+    process.exitCode = 1;
+    return;
+  }
+
+  const outDir = path.join(BIBLE_DIR, args.id);
+  fs.mkdirSync(outDir, { recursive: true });
+  const warnings = [];
+  let size = 0;
+  index.forEach(book => {
+    // gaps (a verse the translation leaves out) stay as empty strings so verse numbers line up
+    const chapters = Array.from(books.get(book.id), verses => Array.from(verses || [], v => v || ""));
+    if (chapters.length !== book.chapters) warnings.push(`${book.id}: ${chapters.length} chapters, books.json has ${book.chapters}`);
+    chapters.forEach((verses, i) => {
+      if (book.verses[i] !== undefined && verses.length !== book.verses[i]) {
+        warnings.push(`${book.id} ${i + 1}: ${verses.length} verses, books.json has ${book.verses[i]}`);
+      }
+    });
+    const body = JSON.stringify({ translation: args.id, book: book.id, chapters });
+    fs.writeFileSync(path.join(outDir, book.id + ".json"), body);
+    size += Buffer.byteLength(body);
+  });
+
+  const listPath = path.join(BIBLE_DIR, "translations.json");
+  const list = JSON.parse(fs.readFileSync(listPath, "utf8"));
+  const entry = { id: args.id, name: args.name, lang: args.lang, size };
+  if (args.license) entry.license = args.license;
+  if (args.source) entry.source = args.source;
+  const at = list.translations.findIndex(tr => tr.id === args.id);
+  if (at >= 0) list.translations[at] = entry;
+  else list.translations.push(entry);
+  fs.writeFileSync(listPath, JSON.stringify(list, null, 2) + "\n");
+
+  if (warnings.length) console.warn("Versification differs from books.json:\n  " + warnings.join("\n  "));
+  console.log(`Wrote ${path.relative(ROOT, outDir)}: ${index.length} books, ${size} bytes`);
+}
+
+run();